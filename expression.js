@@ -5,28 +5,48 @@ import { EMOTIONS } from './training-data.js';
 import { deform } from './landmarks.js';
 
 export class ExpressionMapper {
-  constructor({ smoothing = 0.3 } = {}) {
+  constructor({ smoothing = 0.3, normalize = true, minConfidence = 0, confidenceWeighted = false } = {}) {
     // smoothing: 0 = instant (no smoothing), 1 = frozen (never changes)
     // 0.3 = responsive but smooth
     this.smoothing = smoothing;
+    // normalize: rescale to sum to 1; off for multi-label intensities,
+    // which blend independently (e.g. fearful and surprised at once)
+    this.normalize = normalize;
+    // minConfidence: skip updates whose scores carry a lower `confidence`;
+    // confidenceWeighted: move toward each update in proportion to it
+    this.minConfidence = minConfidence;
+    this.confidenceWeighted = confidenceWeighted;
     this.current = {};
     for (const e of EMOTIONS) this.current[e] = e === 'neutral' ? 1 : 0;
+    // intensity: smoothed like the scores, scales how far the face deforms
+    this.intensity = 1;
+    // disagreement: smoothed ensemble disagreement, the frame's uncertainty
+    this.disagreement = 0;
     this.startTime = Date.now();
   }
 
-  // Update with new raw sentiment scores, return a frame
+  // Update with new raw sentiment scores, return a frame. Scores from
+  // SentimentAnalyzer carry `signals`: an `intensity` and a `confidence`
+  // (1 when absent) and a `disagreement` (0 when absent).
   update(rawScores) {
-    const alpha = this.smoothing;
+    const signals = rawScores.signals ?? {};
+    const confidence = signals.confidence ?? 1;
+    if (confidence < this.minConfidence) return this.frame();
+    const alpha = this.confidenceWeighted ? 1 - (1 - this.smoothing) * confidence : this.smoothing;
     for (const e of EMOTIONS) {
       const raw = rawScores[e] || 0;
       this.current[e] = alpha * this.current[e] + (1 - alpha) * raw;
     }
+    this.intensity = alpha * this.intensity + (1 - alpha) * (signals.intensity ?? 1);
+    this.disagreement = alpha * this.disagreement + (1 - alpha) * (signals.disagreement ?? 0);
 
     // Normalize to sum to 1
-    let sum = 0;
-    for (const e of EMOTIONS) sum += this.current[e];
-    if (sum > 0) {
-      for (const e of EMOTIONS) this.current[e] /= sum;
+    if (this.normalize) {
+      let sum = 0;
+      for (const e of EMOTIONS) sum += this.current[e];
+      if (sum > 0) {
+        for (const e of EMOTIONS) this.current[e] /= sum;
+      }
     }
 
     return this.frame();
@@ -43,12 +63,16 @@ export class ExpressionMapper {
       timestamp: Date.now() - this.startTime,
       sentiment,
       dominant: best,
-      points: deform(sentiment),
+      intensity: this.intensity,
+      disagreement: this.disagreement,
+      points: deform(sentiment, this.intensity),
     };
   }
 
   // Reset to neutral
   reset() {
     for (const e of EMOTIONS) this.current[e] = e === 'neutral' ? 1 : 0;
+    this.intensity = 1;
+    this.disagreement = 0;
   }
 }
@@ -1,18 +1,23 @@
 #!/usr/bin/env node
 // face.js — CLI entry + pipeline orchestrator
-// Commands: train, run, demo, landmarks, eval
+// Commands: train, run, demo, landmarks, eval, explain, convert
 
 import { createInterface } from 'node:readline';
-import { existsSync } from 'node:fs';
+import { existsSync, statSync } from 'node:fs';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { SentimentAnalyzer } from './sentiment.js';
+import { SentimentAnalyzer, DEFAULT_LR, ENCODINGS, readLabeledData, windowWeightings } from './sentiment.js';
+import { EMOTIONS, trainingData } from './training-data.js';
+import { randomSeed, parseLayerSpec, schedules, createSchedule, optimizers } from './nn.js';
 import { ExpressionMapper } from './expression.js';
 import { RendererManager } from './renderer.js';
 import { landmarks, GROUPS } from './landmarks.js';
+import { EMOTION_COLORS } from './renderers/ansi.js';
+import { LexiconAnalyzer, HybridAnalyzer } from './lexicon.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const WEIGHTS_PATH = join(__dirname, 'weights.json');
+const LEXICON_PATH = join(__dirname, 'lexicon.json');
 
 function parseArgs(argv) {
   const args = { _: [] };
@@ -57,39 +62,260 @@ const DEMO_LINES = [
 ];
 
 async function cmdTrain(args) {
+  const weightsPath = args.weights || WEIGHTS_PATH;
   const epochs = parseInt(args.epochs || '150', 10);
-  const lr = parseFloat(args.lr || '0.05');
-  console.log(`Training: epochs=${epochs}, lr=${lr}`);
+  const validationSplit = parseFloat(args['val-split'] ?? '0.2');
+  const patience = args.patience !== undefined ? parseInt(args.patience, 10) : 20;
+  const resume = !!args.resume;
+  if (!(validationSplit >= 0 && validationSplit < 1)) {
+    console.error(`Invalid --val-split "${args['val-split']}", expected a fraction in [0, 1)`);
+    process.exit(1);
+  }
+  if (args.patience !== undefined && !(/^\d+$/.test(args.patience) && patience > 0)) {
+    console.error(`Invalid --patience "${args.patience}", expected a positive integer`);
+    process.exit(1);
+  }
+  if (resume && !existsSync(weightsPath)) {
+    console.error('No weights found to resume from. Run `face train` first.');
+    process.exit(1);
+  }
+
+  const options = {
+    multiLabel: !!args['multi-label'], model: args.model || 'bow',
+    negation: !args['no-negation'], cues: !args['no-cues'], stem: !!args.stem,
+    ensemble: args.ensemble ? parseInt(args.ensemble, 10) : 1, bootstrap: !!args.bootstrap,
+  };
+  if (!(options.ensemble >= 1)) {
+    console.error(`Invalid --ensemble "${args.ensemble}", expected a positive integer`);
+    process.exit(1);
+  }
+  if (!['bow', 'gru'].includes(options.model)) {
+    console.error(`Unknown --model "${args.model}", expected bow or gru`);
+    process.exit(1);
+  }
+  if (typeof args.layers === 'string') {
+    let sizes, hiddenActivations;
+    try {
+      ({ sizes, hiddenActivations } = parseLayerSpec(args.layers));
+    } catch (err) {
+      console.error(`Invalid --layers "${args.layers}": ${err.message}`);
+      process.exit(1);
+    }
+    if (sizes[sizes.length - 1] !== EMOTIONS.length) {
+      console.error(`Output layer must have ${EMOTIONS.length} units (one per emotion), got ${sizes[sizes.length - 1]}`);
+      process.exit(1);
+    }
+    options.vocabSize = sizes[0];
+    options.hiddenLayers = hiddenActivations.map((activation, i) => ({ size: sizes[i + 1], activation }));
+  }
+  if (typeof args.ngrams === 'string') {
+    const [min, max = min] = args.ngrams.split('-').map(n => parseInt(n, 10));
+    if (!(min >= 1 && max >= min)) {
+      console.error(`Invalid --ngrams "${args.ngrams}", expected MIN-MAX (e.g. 1-3)`);
+      process.exit(1);
+    }
+    options.ngrams = [min, max];
+  }
+  if (args['min-freq']) options.minFreq = parseInt(args['min-freq'], 10);
+  if (args.encoding) {
+    if (!ENCODINGS.includes(args.encoding)) {
+      console.error(`Unknown --encoding "${args.encoding}", expected ${ENCODINGS.join(', ')}`);
+      process.exit(1);
+    }
+    options.encoding = args.encoding;
+  }
+  if (args.stopwords) options.stopwords = true;
+  if (typeof args.embedding === 'string') {
+    if (options.model === 'gru') {
+      console.error('--embedding applies to the bow model; the gru model learns its own');
+      process.exit(1);
+    }
+    const [dim, pooling = 'mean'] = args.embedding.split(':');
+    if (!(parseInt(dim, 10) > 0) || !['mean', 'max'].includes(pooling)) {
+      console.error(`Invalid --embedding "${args.embedding}", expected DIM[:mean|max]`);
+      process.exit(1);
+    }
+    options.embedding = { dim: parseInt(dim, 10), pooling };
+  }
 
-  const sa = new SentimentAnalyzer();
-  sa.train({
+  const sa = resume ? SentimentAnalyzer.load(weightsPath) : new SentimentAnalyzer(options);
+  const current = resume ? sa.network.optimizer : null;
+  const optimizer = args.optimizer || current?.type || 'sgd';
+  if (!optimizers[optimizer]) {
+    console.error(`Unknown --optimizer "${optimizer}", expected ${Object.keys(optimizers).join(', ')}`);
+    process.exit(1);
+  }
+  const lr = args.lr ? parseFloat(args.lr) : current?.type === optimizer ? current.lr : DEFAULT_LR[optimizer];
+  if (args.seed !== undefined && !(/^\d+$/.test(args.seed) && Number.isSafeInteger(Number(args.seed)))) {
+    console.error(`Invalid --seed "${args.seed}", expected a non-negative integer`);
+    process.exit(1);
+  }
+  const seed = args.seed !== undefined ? parseInt(args.seed, 10) : sa.seed ?? randomSeed();
+  const dropout = args.dropout !== undefined ? parseFloat(args.dropout) : resume ? sa.network.dropout : 0;
+  const weightDecay = args['weight-decay'] !== undefined ? parseFloat(args['weight-decay']) : resume ? sa.network.weightDecay : 0;
+  if (!(dropout >= 0 && dropout < 1)) {
+    console.error(`Invalid --dropout "${args.dropout}", expected a fraction in [0, 1)`);
+    process.exit(1);
+  }
+  if (!(weightDecay >= 0 && Number.isFinite(weightDecay))) {
+    console.error(`Invalid --weight-decay "${args['weight-decay']}", expected a non-negative number`);
+    process.exit(1);
+  }
+  const schedule = {
+    type: args['lr-schedule'] || 'constant',
+    warmup: args.warmup ? parseInt(args.warmup, 10) : 0,
+  };
+  if (args['step-size']) schedule.stepSize = parseInt(args['step-size'], 10);
+  if (args.gamma) schedule.gamma = parseFloat(args.gamma);
+  if (!schedules[schedule.type]) {
+    console.error(`Unknown --lr-schedule "${schedule.type}", expected ${Object.keys(schedules).join(', ')}`);
+    process.exit(1);
+  }
+  try {
+    createSchedule(schedule);
+  } catch (err) {
+    console.error(`Invalid lr schedule options: ${err.message}`);
+    process.exit(1);
+  }
+  const clipNorm = args['clip-norm'] !== undefined ? parseFloat(args['clip-norm']) : undefined;
+  if (clipNorm !== undefined && !(clipNorm > 0 && Number.isFinite(clipNorm))) {
+    console.error(`Invalid --clip-norm "${args['clip-norm']}", expected a positive number`);
+    process.exit(1);
+  }
+  let classWeights;
+  if (args['class-weights'] === 'auto') {
+    classWeights = 'auto';
+  } else if (typeof args['class-weights'] === 'string') {
+    classWeights = {};
+    for (const pair of args['class-weights'].split(',')) {
+      const [emotion, weight] = pair.split('=');
+      if (!EMOTIONS.includes(emotion) || !(parseFloat(weight) >= 0)) {
+        console.error(`Invalid --class-weights "${args['class-weights']}", expected auto or emotion=weight,...`);
+        process.exit(1);
+      }
+      classWeights[emotion] = parseFloat(weight);
+    }
+  }
+  const labelSmoothing = args['label-smoothing'] !== undefined ? parseFloat(args['label-smoothing']) : undefined;
+  if (labelSmoothing !== undefined && !(labelSmoothing >= 0 && labelSmoothing < 1)) {
+    console.error(`Invalid --label-smoothing "${args['label-smoothing']}", expected a fraction in [0, 1)`);
+    process.exit(1);
+  }
+  console.log(`Training: epochs=${epochs}, lr=${lr}, optimizer=${optimizer}, val-split=${validationSplit}, seed=${seed}${sa.multiLabel ? ', multi-label' : ''}${resume ? ' (resumed)' : ''}`);
+  const layers = [sa.vocabSize, ...sa.hiddenLayers.map(l => `${l.size}:${l.activation}`), EMOTIONS.length];
+  console.log(`Layers: ${layers.join(',')}`);
+  if (sa.embedding) console.log(`Embedding: dim=${sa.embedding.dim}, pooling=${sa.embedding.pooling}`);
+  if (sa.gru) console.log(`GRU: dim=${sa.gru.dim}, hidden=${sa.gru.hiddenSize}`);
+  if (sa.ngrams[1] > 1 || sa.minFreq > 1) console.log(`Features: n-grams ${sa.ngrams.join('-')}, min frequency ${sa.minFreq}`);
+  if (sa.stem) console.log('Stemming: Porter');
+  if (sa.ensemble > 1) console.log(`Ensemble: ${sa.ensemble} networks${sa.bootstrap ? ', bootstrap samples' : ''}`);
+  if (sa.encoding !== 'binary' || sa.stopwords) console.log(`Encoding: ${sa.encoding}${sa.stopwords ? ', stopwords removed' : ''}`);
+  if (dropout > 0 || weightDecay > 0) console.log(`Regularization: dropout=${dropout}, weight-decay=${weightDecay}`);
+  const scheduled = schedule.type !== 'constant' || schedule.warmup > 0;
+  if (scheduled) console.log(`LR schedule: ${schedule.type}${schedule.warmup ? `, warmup=${schedule.warmup}` : ''}`);
+  if (clipNorm) console.log(`Gradient clipping: global norm ≤ ${clipNorm}`);
+
+  const history = sa.train({
     epochs,
     lr,
-    onEpoch({ epoch, loss, accuracy }) {
-      if ((epoch + 1) % 10 === 0 || epoch === 0)
-        console.log(`  epoch ${(epoch + 1).toString().padStart(4)} | loss: ${loss.toFixed(4)} | accuracy: ${(accuracy * 100).toFixed(1)}%`);
+    optimizer,
+    resume,
+    validationSplit,
+    patience,
+    seed,
+    dropout,
+    weightDecay,
+    classWeights,
+    labelSmoothing,
+    schedule,
+    clipNorm,
+    onEpoch({ member, epoch, lr, loss, accuracy, valLoss, valAccuracy, gradNorm, clipped }) {
+      if (sa.ensemble > 1 && epoch === 0) console.log(`Member ${member + 1}/${sa.ensemble}`);
+      if ((epoch + 1) % 10 === 0 || epoch === 0) {
+        let line = `  epoch ${(epoch + 1).toString().padStart(4)} | loss: ${loss.toFixed(4)} | accuracy: ${(accuracy * 100).toFixed(1)}%`;
+        if (valLoss !== undefined)
+          line += ` | val loss: ${valLoss.toFixed(4)} | val accuracy: ${(valAccuracy * 100).toFixed(1)}%`;
+        if (scheduled) line += ` | lr: ${lr.toPrecision(3)}`;
+        if (clipped !== undefined) line += ` | grad norm: ${gradNorm.toFixed(3)} | clipped: ${clipped}`;
+        console.log(line);
+      }
     },
   });
 
-  const { accuracy, correct, total } = sa.evaluate();
+  const { bestEpoch } = sa.network;
+  if (sa.network.classWeights)
+    console.log(`Class weights: ${EMOTIONS.map((e, i) => `${e}=${sa.network.classWeights[i].toFixed(2)}`).join(', ')}`);
+  if (sa.network.labelSmoothing > 0) console.log(`Label smoothing: ${sa.network.labelSmoothing}`);
+  if (bestEpoch !== null) {
+    if (history.length < epochs) console.log(`\nEarly stop after epoch ${history.length}`);
+    if (sa.ensemble > 1)
+      console.log(`Restored best validation weights from epochs ${sa.networks.map(net => net.bestEpoch + 1).join(', ')}`);
+    else console.log(`Restored best validation weights from epoch ${bestEpoch + 1}`);
+    const val = sa.evaluate(sa.validationData);
+    console.log(`Validation accuracy: ${(val.accuracy * 100).toFixed(1)}% (${val.correct}/${val.total})`);
+  }
+
+  const { accuracy, correct, total } = sa.evaluate(trainingData);
   console.log(`\nFinal accuracy: ${(accuracy * 100).toFixed(1)}% (${correct}/${total})`);
 
-  sa.save(WEIGHTS_PATH);
-  console.log(`Weights saved to ${WEIGHTS_PATH}`);
+  sa.save(weightsPath, { quantize: !!args.quantize });
+  console.log(`Weights saved to ${weightsPath}${args.quantize ? ' (binary, int8)' : ''}`);
 }
 
-async function cmdRun(args) {
-  if (!existsSync(WEIGHTS_PATH)) {
+// Sliding-window flags shared by run and demo: --window N,
+// --window-weighting uniform|exp|linear|time, --decay F, --half-life SECONDS,
+// --min-confidence F, --confidence-weighted
+function applyWindowOptions(sa, args) {
+  if (args.window) sa.windowSize = parseInt(args.window, 10);
+  if (args['min-confidence']) sa.minConfidence = parseFloat(args['min-confidence']);
+  if (args['confidence-weighted']) sa.confidenceWeighted = true;
+  const type = args['window-weighting'];
+  if (!type) return;
+  if (!windowWeightings[type]) {
+    console.error(`Unknown --window-weighting "${type}", expected ${Object.keys(windowWeightings).join(', ')}`);
+    process.exit(1);
+  }
+  sa.windowWeighting = { type };
+  if (args.decay) sa.windowWeighting.decay = parseFloat(args.decay);
+  if (args['half-life']) sa.windowWeighting.halfLife = parseFloat(args['half-life']) * 1000;
+}
+
+// The analyzer behind run and demo: --analyzer network (default, trained
+// weights), lexicon (--lexicon PATH, default lexicon.json) or hybrid, which
+// blends the two with --lexicon-weight F (default 0.5)
+function loadAnalyzer(args) {
+  const type = args.analyzer || 'network';
+  if (!['network', 'lexicon', 'hybrid'].includes(type)) {
+    console.error(`Unknown --analyzer "${type}", expected network, lexicon or hybrid`);
+    process.exit(1);
+  }
+  const lexicon = type !== 'network' && LexiconAnalyzer.load(args.lexicon || LEXICON_PATH);
+  if (args.explain && type !== 'network') {
+    console.error('--explain needs the network analyzer');
+    process.exit(1);
+  }
+  if (type === 'lexicon') return lexicon;
+
+  const weightsPath = args.weights || WEIGHTS_PATH;
+  if (!existsSync(weightsPath)) {
     console.error('No weights found. Run `face train` first.');
     process.exit(1);
   }
+  const sa = SentimentAnalyzer.load(weightsPath);
+  if (type === 'network') return sa;
+  const { windowSize, windowWeighting, minConfidence, confidenceWeighted } = sa;
+  const weight = parseFloat(args['lexicon-weight'] || '0.5');
+  return new HybridAnalyzer(sa, lexicon, { weight, windowSize, windowWeighting, minConfidence, confidenceWeighted });
+}
 
+async function cmdRun(args) {
   const rendererName = args.renderer || 'json';
   const fps = parseInt(args.fps || '10', 10);
   const smoothing = parseFloat(args.smoothing || '0.3');
 
-  const sa = SentimentAnalyzer.load(WEIGHTS_PATH);
-  const em = new ExpressionMapper({ smoothing });
+  const sa = loadAnalyzer(args);
+  applyWindowOptions(sa, args);
+  const em = new ExpressionMapper({ smoothing, normalize: !sa.multiLabel, minConfidence: sa.minConfidence });
   const rm = new RendererManager();
   await rm.use(rendererName);
 
@@ -108,6 +334,7 @@ async function cmdRun(args) {
     if (!trimmed) return;
     const scores = sa.push(trimmed);
     latestFrame = em.update(scores);
+    if (args.explain) latestFrame.explanation = sa.explain(trimmed).tokens;
   });
 
   rl.on('close', async () => {
@@ -126,16 +353,12 @@ async function cmdRun(args) {
 }
 
 async function cmdDemo(args) {
-  if (!existsSync(WEIGHTS_PATH)) {
-    console.error('No weights found. Run `face train` first.');
-    process.exit(1);
-  }
-
   const rendererName = args.renderer || 'ansi';
   const delay = parseInt(args.delay || '1500', 10);
 
-  const sa = SentimentAnalyzer.load(WEIGHTS_PATH);
-  const em = new ExpressionMapper({ smoothing: 0.25 });
+  const sa = loadAnalyzer(args);
+  applyWindowOptions(sa, args);
+  const em = new ExpressionMapper({ smoothing: 0.25, normalize: !sa.multiLabel, minConfidence: sa.minConfidence });
   const rm = new RendererManager();
   await rm.use(rendererName);
 
@@ -143,6 +366,7 @@ async function cmdDemo(args) {
     const scores = sa.push(line);
     const frame = em.update(scores);
     frame.text = line;
+    if (args.explain) frame.explanation = sa.explain(line).tokens;
     await rm.render(frame);
     await new Promise(r => setTimeout(r, delay));
   }
@@ -155,42 +379,169 @@ async function cmdLandmarks() {
 }
 
 async function cmdEval(args) {
-  if (!existsSync(WEIGHTS_PATH)) {
+  const weightsPath = args.weights || WEIGHTS_PATH;
+  if (!existsSync(weightsPath)) {
     console.error('No weights found. Run `face train` first.');
     process.exit(1);
   }
 
-  const sa = SentimentAnalyzer.load(WEIGHTS_PATH);
-  const { accuracy, correct, total } = sa.evaluate();
-  console.log(`Accuracy: ${(accuracy * 100).toFixed(1)}% (${correct}/${total})`);
-
-  // Per-emotion breakdown
-  const { trainingData } = await import('./training-data.js');
-  const confusion = {};
-  for (const e of sa.emotions) confusion[e] = { correct: 0, total: 0 };
+  const sa = SentimentAnalyzer.load(weightsPath);
+  let data, source;
+  if (typeof args.data === 'string') {
+    try {
+      data = readLabeledData(args.data);
+    } catch (err) {
+      console.error(`Cannot read --data: ${err.message}`);
+      process.exit(1);
+    }
+    source = args.data;
+  } else if (sa.validationData.length > 0) {
+    data = sa.validationData;
+    source = 'held-out validation split';
+  } else {
+    data = trainingData;
+    source = 'training data (no held-out split saved)';
+  }
 
-  for (const d of trainingData) {
-    const scores = sa.analyze(d.text);
-    const predicted = sa.dominant(scores);
-    confusion[d.emotion].total++;
-    if (predicted === d.emotion) confusion[d.emotion].correct++;
+  const report = sa.evaluate(data);
+  if (args.json) {
+    console.log(JSON.stringify({ source, ...report }, null, 2));
+    return;
   }
 
+  const pct = v => `${(v * 100).toFixed(1)}%`.padStart(7);
+  console.log(`Evaluating on ${source}`);
+  console.log(`Accuracy: ${pct(report.accuracy).trim()} (${report.correct}/${report.total})`);
+
+  console.log('\nConfusion (rows = actual, cols = predicted):');
+  console.log(`  ${''.padEnd(10)}${report.labels.map(e => e.slice(0, 7).padStart(8)).join('')}`);
+  report.labels.forEach((e, i) => {
+    console.log(`  ${e.padEnd(10)}${report.confusion[i].map(c => String(c).padStart(8)).join('')}`);
+  });
+
   console.log('\nPer-emotion:');
-  for (const [e, c] of Object.entries(confusion)) {
-    const pct = c.total > 0 ? (c.correct / c.total * 100).toFixed(1) : '0.0';
-    console.log(`  ${e.padEnd(10)} ${pct}% (${c.correct}/${c.total})`);
+  console.log(`  ${''.padEnd(10)}  precision  recall      f1  support`);
+  const row = (name, m, support = '') =>
+    console.log(`  ${name.padEnd(10)}    ${pct(m.precision)} ${pct(m.recall)} ${pct(m.f1)} ${String(support).padStart(8)}`);
+  for (const e of report.labels) row(e, report.perClass[e], report.perClass[e].support);
+  console.log('');
+  row('macro avg', report.macro, report.total);
+  row('micro avg', report.micro, report.total);
+}
+
+async function cmdExplain(args) {
+  const text = args._.slice(1).join(' ');
+  if (!text) {
+    console.error('Usage: face explain "text" [--json]');
+    process.exit(1);
+  }
+  const weightsPath = args.weights || WEIGHTS_PATH;
+  if (!existsSync(weightsPath)) {
+    console.error('No weights found. Run `face train` first.');
+    process.exit(1);
+  }
+
+  const sa = SentimentAnalyzer.load(weightsPath);
+  const { scores, tokens } = sa.explain(text);
+  if (args.json) {
+    console.log(JSON.stringify({ text, scores, tokens }, null, 2));
+    return;
+  }
+
+  // Colors only on a terminal; each token takes the color of the emotion it
+  // pushes up most, and each contribution that of its emotion
+  const tty = process.stdout.isTTY && !process.env.NO_COLOR;
+  const paint = (s, e) => (tty && e ? `${EMOTION_COLORS[e]}${s}\x1b[0m` : s);
+  const dominant = sa.dominant(scores);
+  console.log(`${JSON.stringify(text)} → ${paint(dominant, dominant)} (${(scores[dominant] * 100).toFixed(1)}%), intensity ${scores.signals.intensity.toFixed(2)}`);
+  console.log(`\n  ${'token'.padEnd(16)}${sa.emotions.map(e => e.slice(0, 7).padStart(9)).join('')}`);
+  for (const { token, contributions } of tokens) {
+    const top = sa.dominant(contributions);
+    const cells = sa.emotions.map(e => {
+      const v = contributions[e] * 100;
+      const cell = `${v >= 0 ? '+' : ''}${v.toFixed(1)}`.padStart(9);
+      return Math.abs(v) >= 5 ? paint(cell, e) : cell;
+    });
+    console.log(`  ${paint(token.padEnd(16), contributions[top] > 0 ? top : null)}${cells.join('')}`);
+  }
+  console.log('\nContribution: change in each score (percentage points) when the token is left out');
+}
+
+async function cmdConvert(args) {
+  const [, input, output] = args._;
+  if (!input || !output) {
+    console.error('Usage: face convert <input> <output> [--format json|binary] [--quantize]');
+    process.exit(1);
+  }
+  if (!existsSync(input)) {
+    console.error(`No weights found at ${input}`);
+    process.exit(1);
+  }
+
+  const quantize = !!args.quantize;
+  const format = args.format || (quantize || output.endsWith('.bin') ? 'binary' : 'json');
+  if (quantize && format !== 'binary') {
+    console.error('--quantize needs the binary format');
+    process.exit(1);
+  }
+  const sa = SentimentAnalyzer.load(input);
+  sa.save(output, { format, quantize });
+  console.log(`Converted ${input} (${statSync(input).size} bytes) → ${output} (${statSync(output).size} bytes, ${format}${quantize ? ', int8' : ''})`);
+
+  // Compare the converted model against the original
+  const converted = SentimentAnalyzer.load(output);
+  const data = sa.validationData.length > 0 ? sa.validationData : trainingData;
+  const before = sa.evaluate(data);
+  const after = converted.evaluate(data);
+  let maxDiff = 0;
+  for (const d of data) {
+    const a = sa.analyze(d.text), b = converted.analyze(d.text);
+    for (const e of sa.emotions) maxDiff = Math.max(maxDiff, Math.abs(a[e] - b[e]));
   }
+  const pct = r => `${(r.accuracy * 100).toFixed(1)}% (${r.correct}/${r.total})`;
+  console.log(`Accuracy on ${sa.validationData.length > 0 ? 'held-out split' : 'training data'}: ${pct(before)} → ${pct(after)}`);
+  console.log(`Max score difference: ${maxDiff.toExponential(2)}`);
 }
 
 const USAGE = `Usage: face <command> [options]
 
 Commands:
   train [--epochs N] [--lr F]          Train sentiment model, save weights
+        [--optimizer sgd|momentum|rmsprop|adam] [--resume]
+        [--val-split F] [--patience N] [--seed N]
+        [--dropout F] [--weight-decay F] [--multi-label]
+        [--layers 500,64:gelu,32:relu,6]
+        [--embedding DIM[:mean|max]]     (learned word embeddings, pooled)
+        [--model bow|gru]                (gru: word-order-aware sequence model)
+        [--lr-schedule constant|step|cosine] [--warmup N]
+        [--step-size N] [--gamma F]      (step decay: lr × gamma every N epochs)
+        [--clip-norm F]                  (clip global gradient norm)
+        [--class-weights auto|joy=2,neutral=0.5,...] [--label-smoothing F]
+        [--no-negation]                  (don't mark words after not/never/n't)
+        [--no-cues]                      (no !!!/CAPS/intensifier features)
+        [--ngrams 1-3] [--min-freq N]    (n-gram features seen >= N times)
+        [--encoding binary|counts|tfidf|log] [--stopwords]
+        [--stem]                         (Porter-stem words: scared/scares → scare)
+        [--ensemble N] [--bootstrap]     (average N networks, each on a resample)
+        [--weights PATH] [--quantize]    (binary format for .bin paths or int8)
   run [--renderer ansi|json|canvas]    Stream stdin → face
-  demo [--renderer ansi]               Built-in demo text
+      [--window N]                     (blend the last N lines, default 5)
+      [--window-weighting uniform|exp|linear|time]
+      [--decay F] [--half-life S]      (exp: × F per older line; time: halve every S s)
+      [--explain]                      (add per-token explanation to frames)
+      [--min-confidence F]             (skip lines scored with less confidence)
+      [--confidence-weighted]          (weigh window lines by confidence)
+      [--analyzer network|lexicon|hybrid]
+      [--lexicon PATH]                 (word → emotion weights JSON)
+      [--lexicon-weight F]             (hybrid: lexicon share of the blend)
+  demo [--renderer ansi]               Built-in demo text (takes run's window/analyzer flags)
   landmarks                            Print landmark schema as JSON
-  eval                                 Model accuracy on test split
+  eval [--data FILE] [--json]          Confusion matrix, precision/recall/F1 on
+                                       held-out split (or labeled JSON/NDJSON file)
+  explain "TEXT" [--json]              Per-token contribution to each emotion
+  convert IN OUT [--quantize]          Convert weights between JSON and binary
+          [--format json|binary]       (int8 with --quantize), compare accuracy
+All commands that read or write weights accept --weights PATH.
 `;
 
 async function main() {
@@ -204,6 +555,8 @@ async function main() {
     case 'demo':      return cmdDemo(args);
     case 'landmarks': return cmdLandmarks(args);
     case 'eval':      return cmdEval(args);
+    case 'explain':   return cmdExplain(args);
+    case 'convert':   return cmdConvert(args);
     default:
       console.log(USAGE);
       if (cmd) {
@@ -2,7 +2,7 @@
 
 import { describe, it, before } from 'node:test';
 import assert from 'node:assert/strict';
-import { writeFileSync, unlinkSync, existsSync } from 'node:fs';
+import { readFileSync, writeFileSync, unlinkSync, existsSync, statSync } from 'node:fs';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { execFileSync } from 'node:child_process';
@@ -10,7 +10,12 @@ import { execFileSync } from 'node:child_process';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // ====== nn.js ======
-import { Matrix, Network, softmax, crossEntropyLoss, activations, xavierInit } from './nn.js';
+import {
+  Matrix, Network, softmax, crossEntropyLoss, activations, xavierInit,
+  optimizers, createOptimizer, SparseVector, SparseMatrix, stackColumns, createRng,
+  binaryCrossEntropyLoss, parseLayerSpec, Embedding, GRU, createSchedule, clipGradNorm,
+  smoothLabels, sampleWeights,
+} from './nn.js';
 
 describe('Matrix', () => {
   it('constructs with correct dimensions', () => {
@@ -94,6 +99,24 @@ describe('Activations', () => {
     assert.ok(activations.sigmoid.fn(-5) >= 0);
   });
 
+  it('every derivative matches a finite difference', () => {
+    const h = 1e-6;
+    for (const [name, { fn, dfn }] of Object.entries(activations)) {
+      for (const x of [-2.5, -0.7, 0.3, 1.9]) {
+        const numeric = (fn(x + h) - fn(x - h)) / (2 * h);
+        assert.ok(Math.abs(numeric - dfn(x)) < 1e-5, `${name}'(${x}): ${dfn(x)} vs ${numeric}`);
+      }
+    }
+  });
+
+  it('leaky_relu, elu, gelu and softplus have the expected shape', () => {
+    assert.equal(activations.leaky_relu.fn(-2), -0.02);
+    assert.ok(Math.abs(activations.elu.fn(-50) + 1) < 1e-10);
+    assert.ok(Math.abs(activations.gelu.fn(3) - 3) < 0.01);
+    assert.ok(Math.abs(activations.softplus.fn(0) - Math.log(2)) < 1e-12);
+    assert.equal(activations.softplus.fn(1000), 1000);
+  });
+
   it('softmax sums to 1', () => {
     const v = Matrix.fromArray([1, 2, 3, 4]);
     const s = softmax(v);
@@ -150,6 +173,36 @@ describe('Network', () => {
   });
 });
 
+describe('Layer configuration', () => {
+  it('parseLayerSpec reads sizes and per-layer activations', () => {
+    assert.deepEqual(parseLayerSpec('500,64:gelu,32:relu,6'), {
+      sizes: [500, 64, 32, 6], hiddenActivations: ['gelu', 'relu'],
+    });
+    assert.deepEqual(parseLayerSpec('10,8,2').hiddenActivations, ['relu']);
+    assert.throws(() => parseLayerSpec('10,8:nope,2'), /Unknown activation/);
+    assert.throws(() => parseLayerSpec('10:relu,2'), /Only hidden layers/);
+    assert.throws(() => parseLayerSpec('10'), /input and output/);
+  });
+
+  it('per-layer activations are used and survive save/load', () => {
+    const net = new Network([3, 5, 4, 2], ['gelu', 'elu']);
+    assert.deepEqual(net.hiddenActivations, ['gelu', 'elu']);
+    const input = Matrix.fromArray([1, -0.5, 2]);
+    const loaded = Network.load(net.save());
+    assert.deepEqual(loaded.hiddenActivations, ['gelu', 'elu']);
+    assert.deepEqual(loaded.predict(input).toArray(), net.predict(input).toArray());
+    assert.throws(() => new Network([3, 5, 2], ['relu', 'relu']), /hidden activations/);
+  });
+
+  it('loads files with a single shared hiddenActivation', () => {
+    const net = new Network([3, 4, 4, 2], 'tanh');
+    const legacy = JSON.parse(net.save());
+    delete legacy.hiddenActivations;
+    legacy.hiddenActivation = 'tanh';
+    assert.deepEqual(Network.load(legacy).hiddenActivations, ['tanh', 'tanh']);
+  });
+});
+
 describe('Xavier init', () => {
   it('produces correct dimensions', () => {
     const m = xavierInit(5, 3);
@@ -166,6 +219,473 @@ describe('Xavier init', () => {
   });
 });
 
+describe('SparseVector', () => {
+  it('toDense places values at indices', () => {
+    const sv = new SparseVector(5, [1, 3], [2, 0.5]);
+    assert.equal(sv.rows, 5);
+    assert.deepEqual(sv.toArray(), [0, 2, 0, 0.5, 0]);
+    assert.deepEqual(new SparseVector(3, [2]).toArray(), [0, 0, 1]);
+  });
+
+  it('Matrix.mul with a sparse vector matches dense multiplication', () => {
+    const w = Matrix.fromRows([[1, 2, 3, 4], [5, 6, 7, 8]]);
+    const sv = new SparseVector(4, [0, 2], [1, 3]);
+    assert.deepEqual(w.mul(sv).toArray(), w.mul(sv.toDense()).toArray());
+  });
+
+  it('Network gives identical outputs and gradients for sparse and dense input', () => {
+    const net = new Network([6, 4, 3]);
+    const sv = new SparseVector(6, [1, 4]);
+    const target = Matrix.fromArray([0, 1, 0]);
+    assert.deepEqual(net.predict(sv).toArray(), net.predict(sv.toDense()).toArray());
+
+    const sparse = net.backward(sv, target);
+    const dense = net.backward(sv.toDense(), target);
+    assert.equal(sparse.loss, dense.loss);
+    for (let i = 0; i < sparse.dw.length; i++) {
+      assert.deepEqual(sparse.dw[i].toArray(), dense.dw[i].toArray());
+      assert.deepEqual(sparse.db[i].toArray(), dense.db[i].toArray());
+    }
+  });
+
+  it('column-sparse backward clears the columns the previous batch wrote', () => {
+    const net = new Network([6, 4, 3], 'relu', { rng: createRng(2) });
+    const target = Matrix.fromArray([0, 1, 0]);
+    const buffers = { ...net.batchBuffers(1), touched: [] };
+    net.backward(new SparseVector(6, [1, 4]), target, buffers);
+    const { dw } = net.backward(new SparseVector(6, [2, 4]), target, buffers);
+    assert.deepEqual(Array.from(buffers.touched), [2, 4]);
+    assert.deepEqual(dw[0].toArray(), net.backward(new SparseVector(6, [2, 4]), target).dw[0].toArray());
+  });
+
+  it('sparse SGD training only updates touched columns and matches dense training', () => {
+    const make = () => new Network([8, 5, 3], 'relu', { rng: createRng(6) });
+    const samples = [[0, 3], [1, 3], [5], [0, 6]].map((idx, k) => ({
+      input: new SparseVector(8, idx), target: Matrix.fromArray([0, 1, 2].map(c => (c === k % 3 ? 1 : 0))),
+    }));
+    const sparse = make(), dense = make();
+    sparse.train(samples, { epochs: 3, lr: 0.1, batchSize: 2, clipNorm: 0.5 });
+    dense.train(samples.map(s => ({ ...s, input: s.input.toDense() })), { epochs: 3, lr: 0.1, batchSize: 2, clipNorm: 0.5 });
+    const untouched = make();
+    sparse.weights.forEach((w, i) => w.data.forEach((v, k) => assert.ok(Math.abs(v - dense.weights[i].data[k]) < 1e-12)));
+    for (const j of [2, 4, 7]) for (let i = 0; i < 5; i++) assert.equal(sparse.weights[0].get(i, j), untouched.weights[0].get(i, j));
+  });
+});
+
+describe('Batched forward/backward', () => {
+  const net = new Network([4, 5, 3]);
+  const inputs = [[1, 0, 0, 1], [0, 1, 1, 0], [0.5, 0, 2, 0]].map(a => Matrix.fromArray(a));
+  const targets = [[1, 0, 0], [0, 0, 1], [0, 1, 0]].map(a => Matrix.fromArray(a));
+
+  it('matrix helpers match their allocating equivalents', () => {
+    const a = Matrix.fromRows([[1, 2, 3], [4, 5, 6]]);
+    const b = Matrix.fromRows([[1, 0, 2], [0, 3, 1]]);
+    assert.deepEqual(a.mulTransposed(b).toArray(), a.mul(b.transpose()).toArray());
+    assert.deepEqual(a.transposeMul(b).toArray(), a.transpose().mul(b).toArray());
+    assert.deepEqual(a.sumCols().toArray(), [6, 15]);
+    const out = new Matrix(2, 3);
+    assert.equal(a.add(b, out), out);
+    assert.deepEqual(out.toArray(), [2, 2, 5, 4, 8, 7]);
+  });
+
+  it('stackColumns builds one column per sample, dense or sparse', () => {
+    const dense = stackColumns(inputs);
+    assert.equal(dense.cols, 3);
+    assert.equal(dense.get(2, 2), 2);
+    const sparse = stackColumns([new SparseVector(4, [0, 3]), new SparseVector(4, [2], [5])]);
+    assert.ok(sparse instanceof SparseMatrix);
+    assert.deepEqual(sparse.toArray(), [1, 0, 0, 0, 0, 5, 1, 0]);
+  });
+
+  it('batched predict matches per-sample predict column by column', () => {
+    const out = net.predict(stackColumns(inputs));
+    inputs.forEach((x, j) => {
+      const single = net.predict(x).toArray();
+      for (let i = 0; i < 3; i++) assert.ok(Math.abs(out.get(i, j) - single[i]) < 1e-12);
+    });
+  });
+
+  it('batched gradients equal the sum of per-sample gradients', () => {
+    const bufs = net.batchBuffers(3);
+    const batched = net.backward(stackColumns(inputs), stackColumns(targets), bufs);
+    assert.equal(batched.dw[0], bufs.dw[0], 'Gradients should be written into the buffers');
+
+    let loss = 0;
+    const sum = net.params().map(p => new Matrix(p.rows, p.cols));
+    inputs.forEach((x, j) => {
+      const g = net.backward(x, targets[j]);
+      loss += g.loss;
+      [...g.dw, ...g.db].forEach((m, k) => m.add(sum[k], sum[k]));
+    });
+    assert.ok(Math.abs(batched.loss - loss) < 1e-12);
+    [...batched.dw, ...batched.db].forEach((m, k) => {
+      for (let i = 0; i < m.data.length; i++) assert.ok(Math.abs(m.data[i] - sum[k].data[i]) < 1e-12);
+    });
+  });
+});
+
+describe('Embedding', () => {
+  const inputs = () => stackColumns([
+    new SparseVector(6, [0, 2]), new SparseVector(6, [1, 3], [2, 1]), new SparseVector(6, []),
+  ]);
+
+  it('pools token vectors by weighted mean or per-dimension max', () => {
+    const emb = new Embedding(6, 3, { rng: createRng(1) });
+    const w = (d, t) => emb.weights.get(d, t);
+    const { output } = emb.forward(inputs());
+    for (let d = 0; d < 3; d++) {
+      assert.ok(Math.abs(output.get(d, 0) - (w(d, 0) + w(d, 2)) / 2) < 1e-12);
+      assert.ok(Math.abs(output.get(d, 1) - (2 * w(d, 1) + w(d, 3)) / 3) < 1e-12);
+      assert.equal(output.get(d, 2), 0, 'Empty text pools to zeros');
+    }
+    emb.pooling = 'max';
+    const max = emb.forward(inputs()).output;
+    for (let d = 0; d < 3; d++) assert.equal(max.get(d, 0), Math.max(w(d, 0), w(d, 2)));
+  });
+
+  for (const pooling of ['mean', 'max']) {
+    it(`${pooling}-pooled embedding gradients match finite differences`, () => {
+      const net = new Network([6, 4, 2], 'tanh', { rng: createRng(3), embedding: { dim: 3, pooling } });
+      const x = inputs();
+      const target = stackColumns([[1, 0], [0, 1], [1, 0]].map(a => Matrix.fromArray(a)));
+      const [dEmbedding] = net.backward(x, target).dFrontEnd;
+      const table = net.embedding.weights.data;
+      const h = 1e-6;
+      for (const k of [0, 2, 7, 9, 13]) {
+        const orig = table[k];
+        table[k] = orig + h;
+        const up = net.loss(net.predict(x), target);
+        table[k] = orig - h;
+        const down = net.loss(net.predict(x), target);
+        table[k] = orig;
+        assert.ok(Math.abs((up - down) / (2 * h) - dEmbedding.data[k]) < 1e-6);
+      }
+    });
+  }
+
+  it('trains end-to-end and survives save/load', () => {
+    // Class depends on which of two disjoint token groups appears
+    const samples = [[0, 1], [1, 2], [0, 2], [3, 4], [4, 5], [3, 5]].map((tokens, i) => ({
+      input: new SparseVector(6, tokens),
+      target: Matrix.fromArray(i < 3 ? [1, 0] : [0, 1]),
+    }));
+    const net = new Network([6, 4, 2], 'relu', { rng: createRng(5), embedding: { dim: 4, pooling: 'max' } });
+    const before = net.embedding.weights.clone();
+    net.train(samples, { epochs: 200, batchSize: 3, optimizer: 'adam', lr: 0.05 });
+    assert.notDeepEqual(net.embedding.weights.toArray(), before.toArray());
+    assert.equal(net.params().length, 5);
+    assert.equal(net.evaluate(samples).accuracy, 1);
+
+    const loaded = Network.load(net.save());
+    assert.equal(loaded.embedding.pooling, 'max');
+    assert.deepEqual(loaded.predict(samples[4].input).toArray(), net.predict(samples[4].input).toArray());
+    assert.deepEqual(loaded.predict(samples[4].input.toDense()).toArray(), net.predict(samples[4].input).toArray());
+  });
+});
+
+describe('GRU', () => {
+  it('final state depends on token order', () => {
+    const gru = new GRU(5, 3, 4, { rng: createRng(2) });
+    const { output } = gru.forward(stackColumns([
+      new SparseVector(5, [1, 3]), new SparseVector(5, [3, 1]), new SparseVector(5, []),
+    ]));
+    assert.notDeepEqual([0, 1, 2, 3].map(i => output.get(i, 0)), [0, 1, 2, 3].map(i => output.get(i, 1)));
+    for (let i = 0; i < 4; i++) assert.equal(output.get(i, 2), 0, 'Empty sequence keeps the zero state');
+  });
+
+  it('backpropagation through time matches finite differences', () => {
+    const net = new Network([5, 3, 2], 'tanh', { rng: createRng(4), gru: { dim: 3, hiddenSize: 4 } });
+    const x = stackColumns([new SparseVector(5, [0, 2, 2, 4]), new SparseVector(5, [4, 1])]);
+    const target = stackColumns([[1, 0], [0, 1]].map(a => Matrix.fromArray(a)));
+    const { dFrontEnd } = net.backward(x, target);
+    const h = 1e-6;
+    net.gru.params().forEach((p, n) => {
+      for (let k = 0; k < p.data.length; k += 5) {
+        const orig = p.data[k];
+        p.data[k] = orig + h;
+        const up = net.loss(net.predict(x), target);
+        p.data[k] = orig - h;
+        const down = net.loss(net.predict(x), target);
+        p.data[k] = orig;
+        assert.ok(Math.abs((up - down) / (2 * h) - dFrontEnd[n].data[k]) < 1e-6, `param ${n}[${k}]`);
+      }
+    });
+  });
+
+  it('learns an order-only task and survives save/load', () => {
+    // Same tokens, class decided by which comes first — invisible to bag-of-words
+    const samples = [[0, 1], [1, 0], [2, 0, 1], [2, 1, 0], [0, 2, 1], [1, 2, 0]].map(tokens => ({
+      input: new SparseVector(3, tokens),
+      target: Matrix.fromArray(tokens.indexOf(0) < tokens.indexOf(1) ? [1, 0] : [0, 1]),
+    }));
+    const net = new Network([3, 8, 2], 'tanh', { rng: createRng(6), gru: { dim: 4, hiddenSize: 6 } });
+    net.train(samples, { epochs: 150, batchSize: 6, optimizer: 'adam', lr: 0.05 });
+    assert.equal(net.evaluate(samples).accuracy, 1);
+    assert.equal(net.params().length, 8);
+
+    const loaded = Network.load(net.save());
+    assert.deepEqual(loaded.predict(samples[2].input).toArray(), net.predict(samples[2].input).toArray());
+  });
+
+  it('weight decay leaves the GRU bias alone', () => {
+    const net = new Network([3, 4, 2], 'tanh', { rng: createRng(3), gru: { dim: 2, hiddenSize: 3 } });
+    net.gru.b.data.fill(1);
+    const samples = [{ input: new SparseVector(3, [0, 2]), target: Matrix.fromArray([1, 0]) }];
+    const gradients = weightDecay => {
+      let captured;
+      const spy = { type: 'spy', lr: 0, step: (params, grads) => { captured = grads.map(g => g.clone()); } };
+      net.train(samples, { optimizer: spy, weightDecay, shuffle: false });
+      return captured;
+    };
+    const [plain, decayed] = [gradients(0), gradients(0.5)];
+    const b = net.params().indexOf(net.gru.b), wx = net.params().indexOf(net.gru.wx);
+    assert.deepEqual(decayed[b].toArray(), plain[b].toArray());
+    assert.notDeepEqual(decayed[wx].toArray(), plain[wx].toArray());
+  });
+});
+
+describe('Multi-label output', () => {
+  it('binaryCrossEntropyLoss is ~0 for perfect and positive for wrong predictions', () => {
+    const target = Matrix.fromArray([1, 0, 1]);
+    assert.ok(binaryCrossEntropyLoss(Matrix.fromArray([1, 0, 1]), target) < 1e-10);
+    assert.ok(binaryCrossEntropyLoss(Matrix.fromArray([0.5, 0.5, 0.5]), target) > 0);
+  });
+
+  it('sigmoid output units are independent and learn overlapping labels', () => {
+    const net = new Network([2, 8, 3], 'relu', { rng: createRng(3), output: 'sigmoid' });
+    const samples = [
+      { input: Matrix.fromArray([1, 0]), target: Matrix.fromArray([1, 1, 0]) },
+      { input: Matrix.fromArray([0, 1]), target: Matrix.fromArray([0, 0, 1]) },
+    ];
+    net.train(samples, { optimizer: 'adam', lr: 0.05, epochs: 200, batchSize: 2 });
+    const out = net.predict(Matrix.fromArray([1, 0])).toArray();
+    assert.ok(out[0] > 0.8 && out[1] > 0.8 && out[2] < 0.2, `Got ${out}`);
+    assert.equal(Network.load(net.save()).output, 'sigmoid');
+  });
+});
+
+describe('Regularization', () => {
+  const samples = [
+    { input: Matrix.fromArray([1, 0, 1]), target: Matrix.fromArray([1, 0]) },
+    { input: Matrix.fromArray([0, 1, 1]), target: Matrix.fromArray([0, 1]) },
+  ];
+  const norm = net => net.weights.reduce((s, w) => s + w.data.reduce((a, x) => a + x * x, 0), 0);
+
+  it('dropout masks hidden units in training but not in predict', () => {
+    const net = new Network([3, 50, 2], 'relu', { rng: createRng(1) });
+    const input = Matrix.fromArray([1, 0.5, 1]);
+    const before = net.predict(input).toArray();
+    net.dropout = 0.5;
+    assert.deepEqual(net.predict(input).toArray(), before, 'predict must ignore dropout');
+
+    const { as, masks } = net.forward(input, undefined, true);
+    const dropped = masks[0].data.filter(m => m === 0).length;
+    assert.ok(dropped > 5 && dropped < 45, `Expected about half dropped, got ${dropped}`);
+    for (let k = 0; k < masks[0].data.length; k++)
+      if (masks[0].data[k] === 0) assert.equal(as[1].data[k], 0);
+  });
+
+  it('weight decay shrinks weights compared to an unregularized run', () => {
+    const plain = new Network([3, 8, 2], 'relu', { rng: createRng(2) });
+    const decayed = new Network([3, 8, 2], 'relu', { rng: createRng(2) });
+    plain.train(samples, { epochs: 50, lr: 0.1 });
+    decayed.train(samples, { epochs: 50, lr: 0.1, weightDecay: 0.1 });
+    assert.ok(norm(decayed) < norm(plain));
+  });
+
+  it('dropout and weight decay are saved with the network', () => {
+    const net = new Network([3, 4, 2]);
+    net.train(samples, { epochs: 1, dropout: 0.3, weightDecay: 0.01 });
+    const loaded = Network.load(net.save());
+    assert.equal(loaded.dropout, 0.3);
+    assert.equal(loaded.weightDecay, 0.01);
+    for (const dropout of [1, -0.1, NaN]) assert.throws(() => net.train(samples, { dropout }), /Dropout/);
+    assert.throws(() => net.train(samples, { weightDecay: -0.01 }), /Weight decay/);
+  });
+});
+
+describe('Optimizers', () => {
+  const xor = () => [
+    { input: Matrix.fromArray([0, 0]), target: Matrix.fromArray([1, 0]) },
+    { input: Matrix.fromArray([0, 1]), target: Matrix.fromArray([0, 1]) },
+    { input: Matrix.fromArray([1, 0]), target: Matrix.fromArray([0, 1]) },
+    { input: Matrix.fromArray([1, 1]), target: Matrix.fromArray([1, 0]) },
+  ];
+
+  for (const [name, lr] of [['sgd', 0.5], ['momentum', 0.1], ['rmsprop', 0.01], ['adam', 0.01]]) {
+    it(`${name} reduces loss`, () => {
+      const net = new Network([2, 8, 2]);
+      const history = net.train(xor(), { optimizer: name, lr, epochs: 200, batchSize: 4 });
+      assert.equal(net.optimizer.type, name);
+      assert.ok(history[history.length - 1].loss < history[0].loss, `${name} should reduce loss`);
+    });
+  }
+
+  it('createOptimizer rejects unknown names', () => {
+    assert.throws(() => createOptimizer('bogus'), /Unknown optimizer/);
+    assert.deepEqual(Object.keys(optimizers), ['sgd', 'momentum', 'rmsprop', 'adam']);
+  });
+
+  it('optimizer state survives save/load so training resumes identically', () => {
+    const net = new Network([2, 4, 2]);
+    net.train(xor(), { optimizer: 'adam', lr: 0.01, epochs: 5, batchSize: 4, shuffle: false });
+    const loaded = Network.load(net.save());
+    assert.equal(loaded.optimizer.type, 'adam');
+    assert.equal(loaded.optimizer.t, net.optimizer.t);
+
+    net.train(xor(), { epochs: 5, batchSize: 4, shuffle: false });
+    loaded.train(xor(), { epochs: 5, batchSize: 4, shuffle: false });
+    for (let i = 0; i < net.weights.length; i++) {
+      assert.deepEqual(loaded.weights[i].toArray(), net.weights[i].toArray());
+    }
+  });
+});
+
+describe('LR schedules and gradient clipping', () => {
+  const samples = [
+    { input: Matrix.fromArray([0, 1]), target: Matrix.fromArray([1, 0]) },
+    { input: Matrix.fromArray([1, 0]), target: Matrix.fromArray([0, 1]) },
+  ];
+
+  it('step, cosine and warmup factors', () => {
+    const step = createSchedule({ type: 'step', stepSize: 2, gamma: 0.1 });
+    assert.deepEqual([0, 1, 2, 3, 4].map(e => step(e, 5)), [1, 1, 0.1, 0.1, 0.1 ** 2]);
+    const cosine = createSchedule('cosine');
+    assert.equal(cosine(0, 10), 1);
+    assert.ok(Math.abs(cosine(5, 10) - 0.5) < 1e-12);
+    const warm = createSchedule({ type: 'cosine', warmup: 4 });
+    assert.deepEqual([0, 1, 2, 3, 4].map(e => warm(e, 14)), [0.25, 0.5, 0.75, 1, 1]);
+    assert.throws(() => createSchedule('bogus'), /Unknown lr schedule/);
+    assert.throws(() => createSchedule({ type: 'step', stepSize: 0 }), /Step size/);
+    assert.throws(() => createSchedule({ type: 'step', gamma: NaN }), /Gamma/);
+    assert.throws(() => createSchedule({ type: 'cosine', minFactor: 2 }), /Min factor/);
+    assert.throws(() => createSchedule({ type: 'constant', warmup: -1 }), /Warmup/);
+  });
+
+  it('train applies the schedule per epoch and keeps the base lr', () => {
+    const net = new Network([2, 3, 2], 'relu', { rng: createRng(1) });
+    const history = net.train(samples, { lr: 0.2, epochs: 4, schedule: { type: 'step', stepSize: 2, gamma: 0.5 } });
+    assert.deepEqual(history.map(h => h.lr), [0.2, 0.2, 0.1, 0.1]);
+    assert.equal(net.optimizer.lr, 0.2);
+  });
+
+  it('clipGradNorm rescales to the global norm bound', () => {
+    const grads = [Matrix.fromArray([3, 0]), Matrix.fromArray([4])];
+    assert.equal(clipGradNorm(grads, 10), 5);
+    assert.deepEqual(grads.map(g => g.toArray()), [[3, 0], [4]]);
+    assert.equal(clipGradNorm(grads, 1), 5);
+    assert.ok(Math.abs(grads[0].get(0, 0) - 0.6) < 1e-12 && Math.abs(grads[1].get(0, 0) - 0.8) < 1e-12);
+  });
+
+  it('clipping bounds each SGD update and is reported per epoch', () => {
+    const net = new Network([2, 3, 2], 'relu', { rng: createRng(2) });
+    const before = net.params().map(p => p.clone());
+    const [entry] = net.train(samples, { lr: 1, epochs: 1, batchSize: 2, clipNorm: 1e-3 });
+    let sq = 0;
+    net.params().forEach((p, i) => p.data.forEach((v, k) => { sq += (v - before[i].data[k]) ** 2; }));
+    assert.ok(Math.sqrt(sq) <= 1e-3 + 1e-12);
+    assert.equal(entry.clipped, 1);
+    assert.ok(entry.gradNorm > 1e-3);
+    for (const clipNorm of [0, -1, NaN]) assert.throws(() => net.train(samples, { clipNorm }), /Clip norm/);
+  });
+});
+
+describe('Class weights and label smoothing', () => {
+  it('smoothLabels mixes targets with the uniform distribution', () => {
+    const t = Matrix.fromArray([1, 0, 0, 0]);
+    const close = (a, b) => a.forEach((v, i) => assert.ok(Math.abs(v - b[i]) < 1e-12));
+    close(smoothLabels(t, 0.2).toArray(), [0.85, 0.05, 0.05, 0.05]);
+    close(smoothLabels(t, 0.2, 2).toArray(), [0.9, 0.1, 0.1, 0.1]);
+  });
+
+  it('losses scale each sample by its class weight', () => {
+    const pred = stackColumns([[0.7, 0.3], [0.4, 0.6]].map(a => Matrix.fromArray(a)));
+    const target = stackColumns([[1, 0], [0, 1]].map(a => Matrix.fromArray(a)));
+    assert.deepEqual(Array.from(sampleWeights(target, [2, 0.5])), [2, 0.5]);
+    const expected = -2 * Math.log(0.7) - 0.5 * Math.log(0.6);
+    assert.ok(Math.abs(crossEntropyLoss(pred, target, { classWeights: [2, 0.5] }) - expected) < 1e-12);
+    const perfect = Matrix.fromArray([1, 0]);
+    assert.ok(crossEntropyLoss(perfect, perfect, { smoothing: 0.1 }) > 1, 'Smoothing penalizes overconfidence');
+  });
+
+  it('binary cross-entropy weighs each output unit by its own class', () => {
+    const pred = stackColumns([[0.7, 0.2], [0.4, 0.1]].map(a => Matrix.fromArray(a)));
+    const target = stackColumns([[1, 0], [0, 0]].map(a => Matrix.fromArray(a)));
+    const expected = -2 * (Math.log(0.7) + Math.log(0.6)) - 0.5 * (Math.log(0.8) + Math.log(0.9));
+    assert.ok(Math.abs(binaryCrossEntropyLoss(pred, target, { classWeights: [2, 0.5] }) - expected) < 1e-12);
+  });
+
+  for (const output of ['softmax', 'sigmoid']) {
+    it(`${output} output delta matches the weighted, smoothed loss gradient`, () => {
+      const net = new Network([3, 4, 3], 'tanh', { rng: createRng(8), output });
+      net.classWeights = [0.5, 2, 1];
+      net.labelSmoothing = 0.1;
+      const x = stackColumns([[1, 0, 2], [0, 1, 1]].map(a => Matrix.fromArray(a)));
+      const target = stackColumns([[0, 1, 0], [1, 0, 0]].map(a => Matrix.fromArray(a)));
+      const { dw } = net.backward(x, target);
+      const w = net.weights[0].data;
+      const h = 1e-6;
+      for (let k = 0; k < w.length; k++) {
+        const orig = w[k];
+        w[k] = orig + h;
+        const up = net.loss(net.predict(x), target);
+        w[k] = orig - h;
+        const down = net.loss(net.predict(x), target);
+        w[k] = orig;
+        assert.ok(Math.abs((up - down) / (2 * h) - dw[0].data[k]) < 1e-6);
+      }
+    });
+  }
+
+  it('class weights pull predictions toward a rare class', () => {
+    // The same input is labeled class 0 nine times and class 1 once
+    const samples = Array.from({ length: 10 }, (_, i) => ({
+      input: Matrix.fromArray([1]), target: Matrix.fromArray(i < 9 ? [1, 0] : [0, 1]),
+    }));
+    const fit = classWeights => {
+      const net = new Network([1, 2], 'relu', { rng: createRng(1) });
+      net.train(samples, { lr: 0.5, epochs: 300, batchSize: 10, classWeights });
+      return net.predict(Matrix.fromArray([1])).get(1, 0);
+    };
+    assert.ok(Math.abs(fit(null) - 0.1) < 0.02);
+    assert.ok(Math.abs(fit([1, 9]) - 0.5) < 0.02);
+  });
+
+  it('are saved with the network', () => {
+    const net = new Network([2, 3, 2]);
+    net.train([{ input: Matrix.fromArray([1, 0]), target: Matrix.fromArray([1, 0]) }],
+      { classWeights: [1, 3], labelSmoothing: 0.05 });
+    const loaded = Network.load(net.save());
+    assert.deepEqual(loaded.classWeights, [1, 3]);
+    assert.equal(loaded.labelSmoothing, 0.05);
+    assert.throws(() => net.train([], { classWeights: [1] }), /class weights/);
+    for (const labelSmoothing of [1, 3, -0.1]) assert.throws(() => net.train([], { labelSmoothing }), /Label smoothing/);
+  });
+});
+
+describe('Seeded randomness', () => {
+  it('createRng repeats its sequence for a seed and stays in [0, 1)', () => {
+    const a = createRng(123), b = createRng(123), c = createRng(124);
+    const seqA = Array.from({ length: 100 }, a);
+    assert.deepEqual(Array.from({ length: 100 }, b), seqA);
+    assert.notDeepEqual(Array.from({ length: 100 }, c), seqA);
+    assert.ok(seqA.every(x => x >= 0 && x < 1));
+  });
+
+  it('seeded networks initialize and train identically', () => {
+    const samples = [
+      { input: Matrix.fromArray([1, 0]), target: Matrix.fromArray([1, 0]) },
+      { input: Matrix.fromArray([0, 1]), target: Matrix.fromArray([0, 1]) },
+      { input: Matrix.fromArray([1, 1]), target: Matrix.fromArray([0, 1]) },
+    ];
+    const a = new Network([2, 4, 2], 'relu', { rng: createRng(9) });
+    const b = new Network([2, 4, 2], 'relu', { rng: createRng(9) });
+    a.train(samples, { epochs: 10, batchSize: 2 });
+    b.train(samples, { epochs: 10, batchSize: 2 });
+    assert.equal(a.save(), b.save());
+  });
+});
+
 // ====== training-data.js ======
 import { EMOTIONS, trainingData } from './training-data.js';
 
@@ -175,8 +695,8 @@ describe('Training data', () => {
     assert.deepEqual(EMOTIONS, ['joy', 'anger', 'sadness', 'surprise', 'fear', 'neutral']);
   });
 
-  it('has ~300 examples', () => {
-    assert.ok(trainingData.length >= 280, `Expected >= 280 examples, got ${trainingData.length}`);
+  it('has ~370 examples', () => {
+    assert.ok(trainingData.length >= 350, `Expected >= 350 examples, got ${trainingData.length}`);
   });
 
   it('has ~50 per category', () => {
@@ -194,21 +714,87 @@ describe('Training data', () => {
   });
 });
 
+// ====== stemmer.js ======
+import { stem } from './stemmer.js';
+
+describe('Stemmer', () => {
+  it('matches the Porter reference stems', () => {
+    const cases = {
+      caresses: 'caress', ponies: 'poni', cats: 'cat', feed: 'feed', agreed: 'agre', motoring: 'motor',
+      hopping: 'hop', filing: 'file', falling: 'fall', happy: 'happi', relational: 'relat',
+      generalization: 'gener', hopefulness: 'hope', adjustment: 'adjust', adoption: 'adopt',
+      electrical: 'electr', controll: 'control', rate: 'rate',
+    };
+    for (const [word, expected] of Object.entries(cases)) assert.equal(stem(word), expected, word);
+  });
+
+  it('folds inflections of one word together', () => {
+    assert.deepEqual(['scared', 'scaring', 'scares', 'scare'].map(stem), ['scare', 'scare', 'scare', 'scare']);
+  });
+
+  it('leaves short, non a-z and emoji tokens alone', () => {
+    for (const token of ['is', "don't", 'café', '3pm', '😭', ':)', '<caps>']) assert.equal(stem(token), token);
+  });
+});
+
 // ====== sentiment.js ======
-import { tokenize, Vocabulary, SentimentAnalyzer } from './sentiment.js';
+import {
+  tokenize, ngrams, Vocabulary, SentimentAnalyzer, stratifiedSplit, STOPWORDS,
+  classificationReport, readLabeledData, intensityCues, CUE_FEATURES, windowWeightings, createWindowWeighting,
+  withConfidence,
+} from './sentiment.js';
+import { encodeBinary, decodeBinary, isBinary } from './serialize.js';
 
 describe('Tokenizer', () => {
   it('lowercases and splits on whitespace', () => {
     assert.deepEqual(tokenize('Hello World'), ['hello', 'world']);
   });
 
-  it('strips punctuation', () => {
-    assert.deepEqual(tokenize("I'm happy!"), ['i', 'm', 'happy']);
+  it('strips punctuation but keeps contractions', () => {
+    assert.deepEqual(tokenize("I'm happy!"), ["i'm", 'happy']);
+    assert.deepEqual(tokenize('I don\u2019t know'), ['i', "don't", 'not_know']);
+  });
+
+  it('marks words after not/never/no/n\'t as negated until punctuation', () => {
+    assert.deepEqual(tokenize('I am not happy at all'), ['i', 'am', 'not', 'not_happy', 'not_at', 'not_all']);
+    assert.deepEqual(tokenize('Never again, I said'), ['never', 'not_again', 'i', 'said']);
+    assert.deepEqual(tokenize("No fear. I can't lose!"), ['no', 'not_fear', 'i', "can't", 'not_lose']);
+    assert.deepEqual(tokenize('I am not happy', { negation: false }), ['i', 'am', 'not', 'happy']);
   });
 
   it('handles empty string', () => {
     assert.deepEqual(tokenize(''), []);
   });
+
+  it('keeps Unicode letters and marks', () => {
+    assert.deepEqual(tokenize('Café TRÈS joli'), ['café', 'très', 'joli']);
+    assert.deepEqual(tokenize('Cafe\u0301'), ['caf\u00e9']); // NFC
+    assert.deepEqual(tokenize('Привет мир 你好'), ['привет', 'мир', '你好']);
+  });
+
+  it('keeps emoji as tokens without skin-tone or variation selectors', () => {
+    assert.deepEqual(tokenize('miss you😭😭'), ['miss', 'you', '😭', '😭']);
+    assert.deepEqual(tokenize('👍🏽 ❤️'), ['👍', '❤']);
+    assert.deepEqual(tokenize('👨\u200D👩\u200D👧 🇫🇷'), ['👨\u200D👩\u200D👧', '🇫🇷']);
+  });
+
+  it('canonicalizes ASCII emoticons', () => {
+    assert.deepEqual(tokenize(":-))) :d :( :'( >:( XD <333 T_T :|"), [':)', ':D', ':(', ":'(", '>:(', 'XD', '<3', 't_t', ':|']);
+    assert.deepEqual(tokenize('see http://x.com (item 8)'), ['see', 'http', 'x', 'com', 'item', '8']);
+  });
+
+  it('counts exclamation, ALL-CAPS and intensifier cues', () => {
+    assert.deepEqual(intensityCues('I am angry'), { exclamations: 0, caps: 0, intensifiers: 0, intensity: 1 });
+    const cues = intensityCues('I am SO ANGRY!!!!! XD');
+    assert.deepEqual([cues.exclamations, cues.caps, cues.intensifiers], [3, 2, 1]);
+    assert.ok(Math.abs(cues.intensity - 15 / 9) < 1e-12);
+    assert.equal(intensityCues('not very happy').intensifiers, 0, 'Negated intensifiers do not count');
+  });
+
+  it('never negates emoji or emoticons', () => {
+    assert.deepEqual(tokenize('not happy 😭 :( at all'), ['not', 'not_happy', '😭', ':(', 'not_at', 'not_all']);
+    assert.deepEqual(tokenize('not good\u2026 fine'), ['not', 'not_good', 'fine']);
+  });
 });
 
 describe('Vocabulary', () => {
@@ -232,6 +818,29 @@ describe('Vocabulary', () => {
     assert.equal(vec.data[catIdx], 1);
   });
 
+  it('encodeSparse lists present word indices once', () => {
+    const v = new Vocabulary(5);
+    v.build(['the cat sat', 'the dog ran']);
+    const sv = v.encodeSparse('the cat the unknown');
+    assert.equal(sv.rows, v.size);
+    assert.deepEqual([...sv.indices], [v.word2idx.get('the'), v.word2idx.get('cat')].sort((a, b) => a - b));
+    assert.deepEqual(sv.toArray(), v.encode('the cat the unknown').toArray());
+  });
+
+  it('adds reserved cue features unless `cues` is off', () => {
+    const v = new Vocabulary(10).build(['foo bar', 'foo qux']);
+    assert.deepEqual(v.idx2word.slice(0, 3), CUE_FEATURES);
+    assert.deepEqual(v.features('FOO bar!!'), ['foo', 'bar', '<exclaim>', '<exclaim>', '<caps>']);
+    const counts = new Vocabulary(10, { encoding: 'counts' }).build(['foo bar']);
+    assert.deepEqual(Array.from(counts.encodeSparse('foo!!').values), [2, 1]);
+    assert.deepEqual(Array.from(v.encodeSequence('foo!').indices), [v.word2idx.get('foo'), 0]);
+
+    const plain = new Vocabulary(10, { cues: false }).build(['foo bar!']);
+    assert.deepEqual(plain.idx2word, ['foo', 'bar']);
+    const legacy = Vocabulary.fromJSON({ maxSize: 10, words: ['foo', 'bar'] });
+    assert.equal(legacy.cues, false);
+  });
+
   it('serialization round-trips', () => {
     const v = new Vocabulary(10);
     v.build(['foo bar baz', 'foo qux']);
@@ -247,7 +856,7 @@ describe('SentimentAnalyzer', () => {
 
   before(() => {
     sa = new SentimentAnalyzer({ hiddenSize: 32 });
-    sa.train({ epochs: 100, lr: 0.05 });
+    sa.train({ epochs: 100, lr: 0.05, seed: 42 });
   });
 
   it('achieves >= 80% training accuracy', () => {
@@ -265,7 +874,7 @@ describe('SentimentAnalyzer', () => {
 
   it('scores sum to ~1', () => {
     const scores = sa.analyze('Hello there');
-    const sum = Object.values(scores).reduce((a, b) => a + b, 0);
+    const sum = EMOTIONS.reduce((a, e) => a + scores[e], 0);
     assert.ok(Math.abs(sum - 1) < 0.01, `Scores sum to ${sum}, expected ~1`);
   });
 
@@ -284,6 +893,35 @@ describe('SentimentAnalyzer', () => {
     }
   });
 
+  it('negation moves negated positive phrases away from joy', () => {
+    assert.equal(sa.dominant(sa.analyze('I am happy')), 'joy');
+    for (const text of ['I am not happy', 'I am never happy', "I don't feel happy"]) {
+      assert.notEqual(sa.dominant(sa.analyze(text)), 'joy', text);
+    }
+  });
+
+  it('emoji and emoticons shift emotion scores', () => {
+    const tests = { '😭': 'sadness', '🎉': 'joy', '😡': 'anger', ':(': 'sadness', ':D': 'joy', '😱': 'fear' };
+    for (const [text, expected] of Object.entries(tests)) {
+      assert.equal(sa.dominant(sa.analyze(text)), expected, text);
+    }
+    assert.equal(sa.dominant(sa.analyze('today 😭')), 'sadness');
+  });
+
+  it('returns an intensity signal that rises with cues', () => {
+    const plain = sa.analyze('I am angry');
+    const shouted = sa.analyze('I AM SO ANGRY!!!');
+    assert.equal(plain.signals.intensity, 1);
+    assert.ok(shouted.signals.intensity > 1.5);
+    assert.deepEqual(Object.keys(shouted), [...EMOTIONS, 'signals']);
+    assert.equal(sa.dominant(shouted), 'anger');
+
+    sa.window = [];
+    sa.push('I am angry');
+    assert.ok(Math.abs(sa.push('I AM SO ANGRY!!!').signals.intensity - (1 + shouted.signals.intensity) / 2) < 1e-12);
+    sa.window = [];
+  });
+
   it('sliding window works', () => {
     sa.window = []; // reset window
     sa.push('Hello world');
@@ -291,6 +929,39 @@ describe('SentimentAnalyzer', () => {
     assert.ok(typeof scores.joy === 'number');
   });
 
+  it('resumes training from saved weights', () => {
+    const tmpPath = join(__dirname, '_test_resume_weights.json');
+    try {
+      const fresh = new SentimentAnalyzer();
+      fresh.train({ epochs: 2, optimizer: 'adam' });
+      fresh.save(tmpPath);
+      const loaded = SentimentAnalyzer.load(tmpPath);
+      const t = loaded.network.optimizer.t;
+      assert.ok(t > 0);
+      loaded.train({ epochs: 1, resume: true });
+      assert.deepEqual(loaded.vocab.idx2word, fresh.vocab.idx2word);
+      assert.ok(loaded.network.optimizer.t > t, 'Adam step count should continue');
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+
+  it('same seed yields byte-identical weights files', () => {
+    const pathA = join(__dirname, '_test_seed_a.json');
+    const pathB = join(__dirname, '_test_seed_b.json');
+    try {
+      for (const path of [pathA, pathB]) {
+        const fresh = new SentimentAnalyzer();
+        fresh.train({ epochs: 3, optimizer: 'adam', validationSplit: 0.2, seed: 1234 });
+        fresh.save(path);
+      }
+      assert.equal(readFileSync(pathA, 'utf-8'), readFileSync(pathB, 'utf-8'));
+      assert.equal(SentimentAnalyzer.load(pathA).seed, 1234);
+    } finally {
+      for (const path of [pathA, pathB]) if (existsSync(path)) unlinkSync(path);
+    }
+  });
+
   it('save/load round-trips', () => {
     const tmpPath = join(__dirname, '_test_weights.json');
     try {
@@ -305,6 +976,170 @@ describe('SentimentAnalyzer', () => {
       if (existsSync(tmpPath)) unlinkSync(tmpPath);
     }
   });
+
+  it('binary and int8 weights load with matching predictions', () => {
+    const binPath = join(__dirname, '_test_weights.bin');
+    const int8Path = join(__dirname, '_test_weights_int8.bin');
+    try {
+      sa.save(binPath);
+      sa.save(int8Path, { quantize: true });
+      const jsonSize = Buffer.byteLength(JSON.stringify(sa.toJSON()));
+      assert.ok(statSync(binPath).size < jsonSize / 2);
+      assert.ok(statSync(int8Path).size < statSync(binPath).size);
+
+      const scores = sa.analyze('I feel great');
+      const fromBin = SentimentAnalyzer.load(binPath).analyze('I feel great');
+      const int8 = SentimentAnalyzer.load(int8Path);
+      const fromInt8 = int8.analyze('I feel great');
+      for (const e of EMOTIONS) {
+        assert.ok(Math.abs(scores[e] - fromBin[e]) < 1e-4);
+        assert.ok(Math.abs(scores[e] - fromInt8[e]) < 0.05);
+      }
+      assert.ok(int8.evaluate(trainingData).accuracy >= sa.evaluate(trainingData).accuracy - 0.05);
+    } finally {
+      for (const path of [binPath, int8Path]) if (existsSync(path)) unlinkSync(path);
+    }
+  });
+
+  it('quantized saves use the binary format whatever the extension', () => {
+    const tmpPath = join(__dirname, '_test_weights_int8.json');
+    try {
+      sa.save(tmpPath, { quantize: true });
+      assert.ok(isBinary(readFileSync(tmpPath)));
+      assert.throws(() => sa.save(tmpPath, { quantize: true, format: 'json' }), /binary format/);
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+});
+
+describe('Binary weights format', () => {
+  const model = { name: 'm', sizes: [2, 3], data: Array.from({ length: 40 }, (_, i) => Math.sin(i) * 3) };
+
+  it('round-trips a model through float32 tensors', () => {
+    const buf = encodeBinary(model);
+    assert.ok(isBinary(buf));
+    const out = decodeBinary(buf);
+    assert.equal(out.name, 'm');
+    assert.deepEqual(out.sizes, [2, 3]);
+    for (let i = 0; i < 40; i++) assert.ok(Math.abs(out.data[i] - model.data[i]) < 1e-6);
+  });
+
+  it('int8 quantization stays within half a step', () => {
+    const out = decodeBinary(encodeBinary(model, { quantize: true }));
+    const step = Math.max(...model.data.map(Math.abs)) / 127;
+    for (let i = 0; i < 40; i++) assert.ok(Math.abs(out.data[i] - model.data[i]) <= step / 2 + 1e-9);
+  });
+
+  it('rejects JSON and unknown versions', () => {
+    assert.equal(isBinary(Buffer.from('{"a":1}')), false);
+    assert.throws(() => decodeBinary(Buffer.from('{"a":1}')), /Not a binary/);
+    const buf = encodeBinary({ a: 1 });
+    const header = Buffer.from(JSON.stringify({ version: 2, model: {}, tensors: [] }));
+    const bumped = Buffer.concat([buf.subarray(0, 4), Buffer.alloc(4), header]);
+    bumped.writeUInt32LE(header.length, 4);
+    assert.throws(() => decodeBinary(bumped), /version/);
+  });
+});
+
+// ====== lexicon.js ======
+import { LexiconAnalyzer, HybridAnalyzer } from './lexicon.js';
+
+describe('LexiconAnalyzer', () => {
+  const lexicon = {
+    words: { happy: { joy: 1 }, scared: { fear: 1 }, '😊': { joy: 1 }, ':)': { joy: 1 } },
+    intensifiers: { very: 2 },
+    baseline: 0.5,
+  };
+  const la = new LexiconAnalyzer(lexicon);
+
+  it('scores emotion words against the neutral baseline', () => {
+    const scores = la.analyze('I am happy');
+    assert.ok(Math.abs(scores.joy - 1 / 1.5) < 1e-9);
+    assert.ok(Math.abs(scores.neutral - 0.5 / 1.5) < 1e-9);
+    assert.ok(Math.abs(EMOTIONS.reduce((a, e) => a + scores[e], 0) - 1) < 1e-9);
+    assert.equal(scores.signals.coverage, 1, 'Stopwords are left out of coverage');
+    assert.equal(la.analyze('I am so happy today').signals.coverage, 0.5);
+  });
+
+  it('boosts words after an intensifier', () => {
+    assert.ok(la.analyze('very happy').joy > la.analyze('happy').joy);
+    assert.ok(Math.abs(la.analyze('very happy').joy - 2 / 2.5) < 1e-9);
+  });
+
+  it('flips negated words to the opposite emotion at half weight', () => {
+    const scores = la.analyze('not happy');
+    assert.equal(scores.joy, 0);
+    assert.ok(Math.abs(scores.sadness - 0.5) < 1e-9);
+    assert.ok(la.analyze('not scared').neutral > la.analyze('scared').neutral);
+  });
+
+  it('matches emoji, emoticons and stems', () => {
+    assert.equal(la.dominant(la.analyze('😊')), 'joy');
+    assert.equal(la.dominant(la.analyze(':-)))')), 'joy');
+    assert.deepEqual(la.lookup('happiness'), { joy: 1 });
+    assert.equal(la.lookup('banana'), null);
+  });
+
+  it('scores lines without known words neutral with zero confidence', () => {
+    const scores = la.analyze('the banana table');
+    assert.equal(scores.neutral, 1);
+    assert.equal(scores.signals.coverage, 0);
+    assert.equal(scores.signals.confidence, 0);
+  });
+
+  it('rejects unknown emotions', () => {
+    assert.throws(() => new LexiconAnalyzer({ words: { glad: { glee: 1 } } }), /Unknown emotion/);
+    assert.throws(() => new LexiconAnalyzer({ words: { 'over the moon': { joy: 1 } } }), /single words/);
+    assert.throws(() => new LexiconAnalyzer({ words: { '!!!': { joy: 1 } } }), /single words/);
+  });
+
+  it('push averages a sliding window', () => {
+    const windowed = new LexiconAnalyzer(lexicon, { windowSize: 2 });
+    windowed.push('happy');
+    windowed.push('scared');
+    const scores = windowed.push('scared');
+    assert.equal(windowed.window.length, 2);
+    assert.equal(scores.joy, 0);
+    assert.equal(windowed.dominant(scores), 'fear');
+  });
+
+  it('loads the bundled lexicon', () => {
+    const bundled = LexiconAnalyzer.load(join(__dirname, 'lexicon.json'));
+    assert.equal(bundled.dominant(bundled.analyze('I am so angry')), 'anger');
+    assert.equal(bundled.dominant(bundled.analyze('I feel sad and lonely')), 'sadness');
+  });
+});
+
+describe('HybridAnalyzer', () => {
+  const network = {
+    emotions: EMOTIONS,
+    multiLabel: false,
+    analyze: () => withConfidence(
+      { joy: 0, anger: 1, sadness: 0, surprise: 0, fear: 0, neutral: 0 }, { intensity: 1.2, coverage: 1 }),
+  };
+  const la = new LexiconAnalyzer({ words: { happy: { joy: 1 } }, baseline: 0 });
+
+  it('blends network and lexicon scores by weight', () => {
+    const scores = new HybridAnalyzer(network, la, { weight: 0.25 }).analyze('happy');
+    assert.equal(scores.anger, 0.75);
+    assert.equal(scores.joy, 0.25);
+    assert.equal(scores.signals.intensity, 1.2);
+    assert.equal(scores.signals.coverage, 1);
+    assert.deepEqual(new HybridAnalyzer(network, la, { weight: 0 }).analyze('happy'), network.analyze());
+  });
+
+  it('rejects weights outside [0, 1]', () => {
+    assert.throws(() => new HybridAnalyzer(network, la, { weight: 1.5 }), /Lexicon weight/);
+    assert.throws(() => new HybridAnalyzer(network, la, { weight: NaN }), /Lexicon weight/);
+  });
+
+  it('push uses the shared window', () => {
+    const hybrid = new HybridAnalyzer(network, la, { weight: 1, windowSize: 3 });
+    hybrid.push('happy');
+    assert.equal(hybrid.dominant(hybrid.push('happy')), 'joy');
+    assert.equal(hybrid.window.length, 2);
+  });
 });
 
 // ====== landmarks.js ======
@@ -360,6 +1195,14 @@ describe('Landmarks', () => {
     assert.ok(mouthL.y < neutralMouthL.y, 'Joy should move mouth corners up');
   });
 
+  it('deform scales displacement by intensity', () => {
+    const scores = { joy: 1, anger: 0, sadness: 0, surprise: 0, fear: 0, neutral: 0 };
+    const base = deform(scores), strong = deform(scores, 2);
+    for (let i = 0; i < landmarkDefs.length; i++) {
+      assert.ok(Math.abs((strong[i].y - landmarkDefs[i].y) - 2 * (base[i].y - landmarkDefs[i].y)) < 1e-12);
+    }
+  });
+
   it('deform with sadness moves mouth corners down', () => {
     const scores = { joy: 0, anger: 0, sadness: 1, surprise: 0, fear: 0, neutral: 0 };
     const pts = deform(scores);
@@ -410,6 +1253,39 @@ describe('ExpressionMapper', () => {
     assert.ok(fn.sentiment.joy > 0.9, 'Should converge to joy');
   });
 
+  it('skips or scales updates by confidence', () => {
+    const joy = { joy: 1, anger: 0, sadness: 0, surprise: 0, fear: 0, neutral: 0 };
+    const withConfidence = confidence => ({ ...joy, signals: { confidence } });
+
+    const skipping = new ExpressionMapper({ smoothing: 0, minConfidence: 0.5 });
+    assert.equal(skipping.update(withConfidence(0.2)).dominant, 'neutral');
+    assert.equal(skipping.update(withConfidence(0.8)).dominant, 'joy');
+
+    const weighted = new ExpressionMapper({ smoothing: 0.5, confidenceWeighted: true, normalize: false });
+    assert.equal(weighted.update(withConfidence(0.5)).sentiment.joy, 0.25);
+    assert.equal(weighted.update(withConfidence(0)).sentiment.joy, 0.25);
+  });
+
+  it('smooths intensity into the frame and its deformation', () => {
+    const em = new ExpressionMapper({ smoothing: 0.5 });
+    const joy = { joy: 1, anger: 0, sadness: 0, surprise: 0, fear: 0, neutral: 0 };
+    assert.equal(em.update(joy).intensity, 1, 'Scores without intensity count as 1');
+    const frame = em.update({ ...joy, signals: { intensity: 2 } });
+    assert.equal(frame.intensity, 1.5);
+    assert.deepEqual(frame.points, deform(frame.sentiment, 1.5));
+    em.reset();
+    assert.equal(em.intensity, 1);
+  });
+
+  it('smooths ensemble disagreement into the frame', () => {
+    const em = new ExpressionMapper({ smoothing: 0.5 });
+    const joy = { joy: 1, anger: 0, sadness: 0, surprise: 0, fear: 0, neutral: 0 };
+    assert.equal(em.update(joy).disagreement, 0, 'Scores without disagreement count as 0');
+    assert.equal(em.update({ ...joy, signals: { disagreement: 0.4 } }).disagreement, 0.2);
+    em.reset();
+    assert.equal(em.disagreement, 0);
+  });
+
   it('reset returns to neutral', () => {
     const em = new ExpressionMapper();
     em.update({ joy: 1, anger: 0, sadness: 0, surprise: 0, fear: 0, neutral: 0 });
@@ -469,7 +1345,7 @@ describe('Integration: full pipeline', () => {
 
   before(() => {
     sa = new SentimentAnalyzer();
-    sa.train({ epochs: 100, lr: 0.05 });
+    sa.train({ epochs: 100, lr: 0.05, seed: 42 });
   });
 
   it('text → sentiment → expression → frame', () => {
@@ -497,6 +1373,85 @@ describe('Integration: full pipeline', () => {
     assert.equal(lastFrame.dominant, 'sadness', `Expected dominant=sadness, got ${lastFrame.dominant}`);
   });
 
+  it('reports coverage, entropy and confidence, zero confidence for unknown words', () => {
+    const clear = sa.analyze('I am terrified and scared').signals;
+    const unknown = sa.analyze('xyzzy plugh frobnicate').signals;
+    assert.equal(unknown.coverage, 0);
+    assert.equal(unknown.confidence, 0);
+    assert.equal(clear.coverage, 1);
+    assert.ok(clear.entropy >= 0 && clear.entropy < unknown.entropy && unknown.entropy <= 1);
+    assert.ok(Math.abs(clear.confidence - (1 - clear.entropy)) < 1e-12);
+    assert.ok(clear.confidence > 0.5);
+    assert.deepEqual(Object.keys(clear), ['intensity', 'coverage', 'entropy', 'confidence', 'disagreement']);
+  });
+
+  it('push skips or down-weights low-confidence lines', () => {
+    const analyzer = options => Object.assign(new SentimentAnalyzer(options), { vocab: sa.vocab, network: sa.network });
+    const happy = sa.analyze('I am so happy and joyful');
+
+    const skipping = analyzer({ minConfidence: 0.1 });
+    assert.equal(skipping.push('xyzzy plugh').signals.confidence, 0, 'Nothing left to blend');
+    assert.equal(skipping.push('I am so happy and joyful').joy, happy.joy);
+    assert.equal(skipping.push('xyzzy plugh').joy, happy.joy);
+
+    const weighted = analyzer({ confidenceWeighted: true });
+    weighted.push('I am so happy and joyful');
+    const blended = weighted.push('I am terrified and scared');
+    const scared = sa.analyze('I am terrified and scared');
+    const [a, b] = [happy.signals.confidence, scared.signals.confidence];
+    const expected = (a * happy.fear + b * scared.fear) / (a + b);
+    assert.ok(Math.abs(blended.fear - expected) < 1e-12);
+    assert.equal(weighted.push('xyzzy plugh').fear, blended.fear, 'Zero-confidence lines weigh nothing');
+  });
+
+  it('explain attributes scores to tokens in text order by occlusion', () => {
+    const text = 'I am terrified and zebra scared';
+    const { scores, tokens } = sa.explain(text);
+    assert.deepEqual(scores, sa.analyze(text));
+    assert.deepEqual(tokens.map(t => t.token), ['i', 'am', 'terrified', 'and', 'scared']);
+    const fear = tokens.map(t => t.contributions.fear);
+    assert.ok(fear[2] > 0 && fear[2] === Math.max(...fear), 'terrified pushes fear up most');
+
+    const without = sa.analyze('I am and zebra scared');
+    for (const e of EMOTIONS) assert.ok(Math.abs(tokens[2].contributions[e] - (scores[e] - without[e])) < 1e-12);
+    assert.deepEqual(sa.explain('zebra').tokens, []);
+  });
+
+  it('push analyzes each line once and caches its scores', () => {
+    const sa2 = new SentimentAnalyzer({ windowSize: 3, windowWeighting: { type: 'exp', decay: 0.3 } });
+    sa2.vocab = sa.vocab;
+    sa2.network = sa.network;
+    let calls = 0;
+    const analyze = sa2.analyze.bind(sa2);
+    sa2.analyze = text => { calls++; return analyze(text); };
+    for (const text of ['one', 'two', 'three', 'four', 'five']) sa2.push(text);
+    assert.equal(calls, 5);
+    assert.deepEqual(sa2.window.map(l => l.text), ['three', 'four', 'five']);
+    assert.deepEqual(SentimentAnalyzer.fromJSON(sa2.toJSON()).windowWeighting, { type: 'exp', decay: 0.3 });
+  });
+
+  it('weights window lines by recency', () => {
+    assert.deepEqual([0, 1, 2].map(age => windowWeightings.exp({ decay: 0.5 })({ age })), [1, 0.5, 0.25]);
+    assert.deepEqual([0, 1, 2].map(age => createWindowWeighting('linear')({ age, size: 3 })), [3, 2, 1]);
+    assert.equal(createWindowWeighting({ type: 'time', halfLife: 1000 })({ elapsed: 2000 }), 0.25);
+    assert.throws(() => new SentimentAnalyzer({ windowWeighting: 'bogus' }), /Unknown window weighting/);
+
+    const blend = windowWeighting => {
+      const sa2 = new SentimentAnalyzer({ windowWeighting });
+      sa2.vocab = sa.vocab;
+      sa2.network = sa.network;
+      sa2.push('I am so happy and thrilled', { time: 0 });
+      return sa2.push('I am terrified and scared', { time: 60000 });
+    };
+    const older = sa.analyze('I am so happy and thrilled').joy;
+    const newer = sa.analyze('I am terrified and scared').joy;
+    const close = (a, b) => Math.abs(a - b) < 1e-12;
+    assert.ok(close(blend('uniform').joy, (older + newer) / 2));
+    assert.ok(close(blend({ type: 'exp', decay: 0.25 }).joy, (0.25 * older + newer) / 1.25));
+    assert.ok(close(blend('linear').joy, (older + 2 * newer) / 3));
+    assert.ok(close(blend({ type: 'time', halfLife: 30000 }).joy, (0.25 * older + newer) / 1.25));
+  });
+
   it('sliding window affects scores', () => {
     const sa2 = new SentimentAnalyzer();
     sa2.vocab = sa.vocab;
@@ -600,6 +1555,32 @@ describe('Network (extended)', () => {
       'Loss should decrease over training');
   });
 
+  it('reports validation metrics, stops early and restores best weights', () => {
+    const net = new Network([2, 4, 2]);
+    const train = [
+      { input: Matrix.fromArray([1, 0]), target: Matrix.fromArray([1, 0]) },
+      { input: Matrix.fromArray([0, 1]), target: Matrix.fromArray([0, 1]) },
+    ];
+    // Validation labels contradict training, so validation loss only grows
+    const validation = [
+      { input: Matrix.fromArray([1, 0]), target: Matrix.fromArray([0, 1]) },
+    ];
+    const seen = [];
+    const history = net.train(train, {
+      epochs: 50, lr: 0.5, validation, patience: 3,
+      onEpoch: e => seen.push(e),
+    });
+    assert.ok(history.length < 50, 'Should stop early');
+    assert.equal(seen.length, history.length);
+    for (const entry of history) {
+      assert.ok(typeof entry.valLoss === 'number');
+      assert.ok(entry.valAccuracy >= 0 && entry.valAccuracy <= 1);
+    }
+    const best = history.reduce((a, b) => (b.valLoss < a.valLoss ? b : a));
+    assert.equal(net.bestEpoch, best.epoch);
+    assert.ok(Math.abs(net.evaluate(validation).loss - best.valLoss) < 1e-10);
+  });
+
   it('supports multi-layer topology', () => {
     const net = new Network([3, 8, 6, 2]);
     const input = Matrix.fromArray([1, 0.5, 0]);
@@ -628,6 +1609,131 @@ describe('Tokenizer (extended)', () => {
 });
 
 describe('Vocabulary (extended)', () => {
+  it('ngrams lists every n in the range', () => {
+    assert.deepEqual(ngrams(['fed', 'up', 'now'], [1, 2]), ['fed', 'up', 'now', 'fed up', 'up now']);
+    assert.deepEqual(ngrams(['over', 'the', 'moon'], [3, 3]), ['over the moon']);
+  });
+
+  it('indexes n-grams above the minimum frequency and encodes them', () => {
+    const v = new Vocabulary(50, { ngrams: [1, 3], minFreq: 2 })
+      .build(['I am over the moon', 'over the moon today', 'so fed up', 'fed up again']);
+    for (const f of ['over the moon', 'fed up', 'over', 'moon']) assert.ok(v.word2idx.has(f), f);
+    assert.ok(!v.word2idx.has('today'), 'Features seen once are dropped');
+    const encoded = v.encodeSparse('totally fed up');
+    assert.ok(Array.from(encoded.indices).includes(v.word2idx.get('fed up')));
+
+    const loaded = Vocabulary.fromJSON(JSON.parse(JSON.stringify(v)));
+    assert.deepEqual(loaded.ngrams, [1, 3]);
+    assert.equal(loaded.minFreq, 2);
+    assert.deepEqual(loaded.encodeSparse('totally fed up').indices, encoded.indices);
+  });
+
+  it('encodes binary, counts, log and L2-normalized tf-idf values', () => {
+    const texts = ['happy happy day', 'sad day', 'a day'];
+    const values = encoding => Array.from(new Vocabulary(10, { encoding }).build(texts).encodeSparse('happy happy day').values);
+    assert.deepEqual(values('binary'), [1, 1]);
+    const v = new Vocabulary(10, { encoding: 'counts' }).build(texts);
+    assert.deepEqual(Array.from(v.encodeSparse('happy happy day').indices), [v.word2idx.get('day'), v.word2idx.get('happy')]);
+    assert.deepEqual(values('counts'), [1, 2]);
+    assert.deepEqual(values('log'), [1, 1 + Math.log(2)]);
+
+    // "day" is in every text, so it weighs less than the rarer "happy"
+    const [day, happy] = values('tfidf');
+    assert.ok(happy > day);
+    assert.ok(Math.abs(Math.hypot(day, happy) - 1) < 1e-12);
+    assert.throws(() => new Vocabulary(10, { encoding: 'bogus' }), /Unknown encoding/);
+  });
+
+  it('learns and saves IDF from build', () => {
+    const v = new Vocabulary(10, { encoding: 'tfidf' }).build(['happy day', 'sad day']);
+    assert.equal(v.idf[v.word2idx.get('day')], Math.log(3 / 3) + 1);
+    assert.equal(v.idf[v.word2idx.get('happy')], Math.log(3 / 2) + 1);
+    const loaded = Vocabulary.fromJSON(JSON.parse(JSON.stringify(v)));
+    assert.equal(loaded.encoding, 'tfidf');
+    assert.deepEqual(loaded.idf, v.idf);
+    assert.deepEqual(loaded.encodeSparse('happy day').values, v.encodeSparse('happy day').values);
+  });
+
+  it('keeps stopwords out of the vocabulary', () => {
+    const texts = ['I am not the happy one', 'the best of the day'];
+    const v = new Vocabulary(50, { stopwords: true, ngrams: [1, 2] }).build(texts);
+    for (const w of ['the', 'i', 'of the', 'not_the']) assert.ok(!v.word2idx.has(w), w);
+    for (const w of ['not', 'not_happy', 'the best']) assert.ok(v.word2idx.has(w), w);
+    assert.ok(STOPWORDS.includes('the') && !STOPWORDS.includes('not'));
+    const custom = new Vocabulary(50, { stopwords: ['day'] }).build(texts);
+    assert.ok(!custom.word2idx.has('day') && custom.word2idx.has('the'));
+    assert.deepEqual(Vocabulary.fromJSON(custom.toJSON()).stopwords, ['day']);
+  });
+
+  it('loads unigram vocabularies saved without n-gram settings', () => {
+    const v = Vocabulary.fromJSON({ maxSize: 10, negation: true, words: ['fed', 'up'] });
+    assert.deepEqual(v.ngrams, [1, 1]);
+    assert.equal(v.encoding, 'binary');
+    assert.deepEqual(Array.from(v.encodeSparse('fed up').indices), [0, 1]);
+  });
+
+  it('applies and saves negation, loading older files without it', () => {
+    const v = new Vocabulary(20).build(['not happy', 'happy']);
+    assert.ok(v.word2idx.has('not_happy'));
+    assert.equal(Vocabulary.fromJSON(v.toJSON()).negation, true);
+    const legacy = Vocabulary.fromJSON({ maxSize: 20, words: ['happy', 'not'] });
+    assert.equal(legacy.negation, false);
+    assert.deepEqual(Array.from(legacy.encodeSparse('not happy').indices), [0, 1]);
+  });
+
+  it('keeps the ASCII tokenizer for vocabularies saved before negation', () => {
+    const legacy = Vocabulary.fromJSON({ maxSize: 20, words: ['i', 'can', 't', 'wait'] });
+    assert.equal(legacy.tokenizer, 'ascii');
+    assert.deepEqual(legacy.tokenize("I can't wait 😊"), ['i', 'can', 't', 'wait']);
+    assert.deepEqual(Array.from(legacy.encodeSparse("I can't wait").indices), [0, 1, 2, 3]);
+    assert.equal(Vocabulary.fromJSON(legacy.toJSON()).tokenizer, 'ascii');
+    const v = new Vocabulary(20).build(["I can't wait"]);
+    assert.equal(Vocabulary.fromJSON(v.toJSON()).tokenizer, 'unicode');
+    assert.deepEqual(v.tokenize("I can't wait"), ['i', "can't", 'not_wait']);
+  });
+
+  it('coverage is the fraction of known tokens', () => {
+    const v = new Vocabulary(10).build(['happy day', 'sad day']);
+    assert.equal(v.coverage('happy day'), 1);
+    assert.equal(v.coverage('happy zebra!!'), 0.5);
+    assert.equal(v.coverage('zebra'), 0);
+    assert.equal(v.coverage(''), 0);
+    const negated = new Vocabulary(10).build(['happy day', 'not sad', 'never wonderful', 'amazing fantastic']);
+    assert.equal(negated.coverage('not sad'), 1);
+    assert.equal(negated.coverage('not happy'), 0.5, 'Negated forms the vocabulary lacks are unknown');
+    assert.equal(negated.coverage('never amazing wonderful fantastic'), 0.5);
+    assert.equal(negated.encodeSparse('never amazing wonderful fantastic').indices.length, 2);
+  });
+
+  it('coverage counts n-gram features and leaves stopwords out', () => {
+    const texts = trainingData.map(d => d.text);
+    const bigrams = new Vocabulary(2000, { ngrams: [2, 2] }).build(texts);
+    assert.ok(bigrams.encodeSparse('I am so happy today').indices.length > 3);
+    assert.ok(bigrams.coverage('I am so happy today') > 0.5);
+    const v = new Vocabulary(20, { stopwords: true }).build(['I am happy', 'the day is sad']);
+    assert.equal(v.coverage('I am happy'), 1);
+    assert.equal(v.coverage('the sad zebra'), 0.5);
+    assert.equal(bigrams.coverage('happy', { sequence: true }), 0, 'A sequence reads unigrams only');
+  });
+
+  it('stems words, negated words and stopwords with `stem`, saved with the vocabulary', () => {
+    const v = new Vocabulary(20, { stem: true, stopwords: ['was'] }).build(['I was scared', 'it scares me', 'not scaring']);
+    assert.deepEqual(v.tokenize('not scaring'), ['not', 'not_scare']);
+    assert.ok(v.word2idx.has('scare'));
+    assert.ok(!v.word2idx.has('scared') && !v.word2idx.has('wa'));
+    assert.deepEqual(v.encodeSparse('scared').indices, v.encodeSparse('scares').indices);
+    assert.equal(Vocabulary.fromJSON(v.toJSON()).stem, true);
+    assert.equal(Vocabulary.fromJSON({ maxSize: 20, words: ['scared'] }).stem, false);
+  });
+
+  it('encodeSequence keeps token order and repeats, skipping unknown words', () => {
+    const v = new Vocabulary(10).build(['happy sad happy', 'sad angry']);
+    const seq = v.encodeSequence('sad zebra happy sad');
+    const idx = w => v.word2idx.get(w);
+    assert.deepEqual(Array.from(seq.indices), [idx('sad'), idx('happy'), idx('sad')]);
+    assert.equal(seq.rows, v.size);
+  });
+
   it('respects maxSize cap', () => {
     const v = new Vocabulary(3);
     v.build(['a b c d e f g h i j']);
@@ -649,6 +1755,243 @@ describe('Vocabulary (extended)', () => {
   });
 });
 
+describe('SentimentAnalyzer architecture', () => {
+  it('builds and saves its hidden layer spec', () => {
+    const tmpPath = join(__dirname, '_test_layers_weights.json');
+    try {
+      const hiddenLayers = [{ size: 16, activation: 'leaky_relu' }, { size: 8, activation: 'softplus' }];
+      const fresh = new SentimentAnalyzer({ vocabSize: 200, hiddenLayers });
+      fresh.train({ epochs: 2, seed: 1 });
+      assert.deepEqual(fresh.network.layerSizes.slice(1), [16, 8, EMOTIONS.length]);
+      fresh.save(tmpPath);
+      const loaded = SentimentAnalyzer.load(tmpPath);
+      assert.deepEqual(loaded.hiddenLayers, hiddenLayers);
+      assert.deepEqual(loaded.network.hiddenActivations, ['leaky_relu', 'softplus']);
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+
+  it('trains and reloads with n-gram, tf-idf and stopword settings', () => {
+    const tmpPath = join(__dirname, '_test_ngram_weights.json');
+    try {
+      const fresh = new SentimentAnalyzer({ vocabSize: 800, ngrams: [1, 2], minFreq: 2, encoding: 'tfidf', stopwords: true });
+      fresh.train({ epochs: 5, seed: 9 });
+      assert.ok(fresh.vocab.idx2word.some(w => w.includes(' ')), 'Should index bigrams');
+      assert.ok(!fresh.vocab.word2idx.has('the'));
+      fresh.save(tmpPath);
+      const loaded = SentimentAnalyzer.load(tmpPath);
+      assert.deepEqual(loaded.ngrams, [1, 2]);
+      assert.equal(loaded.encoding, 'tfidf');
+      assert.equal(loaded.stem, false);
+      assert.deepEqual(loaded.analyze('I feel so happy'), fresh.analyze('I feel so happy'));
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+
+  it('averages an ensemble and reports its disagreement', () => {
+    const tmpPath = join(__dirname, '_test_ensemble_weights.json');
+    try {
+      const fresh = new SentimentAnalyzer({ vocabSize: 200, hiddenSize: 8, ensemble: 3, bootstrap: true });
+      const members = [];
+      fresh.train({ epochs: 5, seed: 4, onEpoch: ({ member }) => members.push(member) });
+      assert.equal(fresh.networks.length, 3);
+      assert.deepEqual([...new Set(members)], [0, 1, 2]);
+
+      const text = 'I am not sure how I feel';
+      const scores = fresh.analyze(text);
+      const input = fresh.encodeInput(text);
+      const outputs = fresh.networks.map(net => net.predict(input).data);
+      EMOTIONS.forEach((e, i) => {
+        assert.ok(Math.abs(scores[e] - (outputs[0][i] + outputs[1][i] + outputs[2][i]) / 3) < 1e-12);
+      });
+      assert.ok(scores.signals.disagreement > 0 && scores.signals.disagreement <= 1);
+
+      fresh.save(tmpPath);
+      const loaded = SentimentAnalyzer.load(tmpPath);
+      assert.equal(loaded.ensemble, 3);
+      assert.equal(loaded.bootstrap, true);
+      assert.deepEqual(loaded.analyze(text), scores);
+
+      const single = new SentimentAnalyzer({ vocabSize: 200, hiddenSize: 8 });
+      single.train({ epochs: 1, seed: 4 });
+      assert.equal(single.analyze(text).signals.disagreement, 0);
+      assert.throws(() => new SentimentAnalyzer({ ensemble: 0 }), /Ensemble size/);
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+
+  it('resolves explicit and auto class weights', () => {
+    const sa = new SentimentAnalyzer();
+    assert.deepEqual(sa.classWeights({ neutral: 0.5 }), [1, 1, 1, 1, 1, 0.5]);
+    assert.throws(() => sa.classWeights({ bored: 2 }), /Unknown emotion/);
+    const data = [
+      ...Array.from({ length: 8 }, () => ({ text: 'meh', emotion: 'neutral' })),
+      { text: 'yay', emotion: 'joy' }, { text: 'grr', emotion: 'anger' },
+    ];
+    const auto = sa.classWeights('auto', data);
+    assert.equal(auto[EMOTIONS.indexOf('neutral')], 10 / (6 * 8));
+    assert.equal(auto[EMOTIONS.indexOf('joy')], 10 / 6);
+    assert.equal(auto[EMOTIONS.indexOf('fear')], 1, 'Absent emotions keep weight 1');
+  });
+
+  it('GRU model reads word order and restores it on load', () => {
+    const tmpPath = join(__dirname, '_test_gru_weights.json');
+    try {
+      const fresh = new SentimentAnalyzer({ model: 'gru', gru: { dim: 8, hiddenSize: 8 } });
+      fresh.train({ epochs: 5, optimizer: 'adam', seed: 3 });
+      const a = fresh.analyze("I was afraid but now I'm happy");
+      const b = fresh.analyze("I was happy but now I'm afraid");
+      assert.ok(EMOTIONS.some(e => Math.abs(a[e] - b[e]) > 1e-6), 'Reordered words should change scores');
+      fresh.save(tmpPath);
+      const loaded = SentimentAnalyzer.load(tmpPath);
+      assert.equal(loaded.model, 'gru');
+      assert.deepEqual(loaded.gru, { dim: 8, hiddenSize: 8 });
+      assert.deepEqual(loaded.analyze("I was afraid but now I'm happy"), a);
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+
+  it('trains an embedding front end and restores it on load', () => {
+    const tmpPath = join(__dirname, '_test_embedding_weights.json');
+    try {
+      const fresh = new SentimentAnalyzer({ embedding: { dim: 16, pooling: 'max' } });
+      fresh.train({ epochs: 30, optimizer: 'adam', seed: 7 });
+      assert.equal(fresh.network.weights[0].cols, 16);
+      assert.ok(fresh.evaluate().accuracy >= 0.7);
+      fresh.save(tmpPath);
+      const loaded = SentimentAnalyzer.load(tmpPath);
+      assert.deepEqual(loaded.embedding, { dim: 16, pooling: 'max' });
+      assert.deepEqual(loaded.analyze('I am so happy'), fresh.analyze('I am so happy'));
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+});
+
+describe('SentimentAnalyzer multi-label', () => {
+  it('targets spread several labels or soft weights', () => {
+    const softmax = new SentimentAnalyzer();
+    const multi = new SentimentAnalyzer({ multiLabel: true });
+    const both = { text: 'x', emotion: 'fear', emotions: ['fear', 'surprise'] };
+    const fearIdx = EMOTIONS.indexOf('fear'), surpriseIdx = EMOTIONS.indexOf('surprise');
+    assert.equal(softmax.target(both).data[fearIdx], 0.5);
+    assert.equal(multi.target(both).data[fearIdx], 1);
+    assert.equal(multi.target(both).data[surpriseIdx], 1);
+    const soft = { text: 'x', emotion: 'joy', labels: { joy: 0.7, fear: 0.3 } };
+    assert.equal(multi.target(soft).data[EMOTIONS.indexOf('joy')], 0.7);
+    assert.equal(softmax.target({ text: 'x', emotion: 'anger' }).data[EMOTIONS.indexOf('anger')], 1);
+  });
+
+  it('analyze returns independent intensities that survive save/load', () => {
+    const tmpPath = join(__dirname, '_test_multilabel_weights.json');
+    try {
+      const multi = new SentimentAnalyzer({ multiLabel: true });
+      multi.train({ epochs: 40, optimizer: 'adam', seed: 1 });
+      const scores = multi.analyze('I cannot believe it, this is terrifying');
+      assert.ok(scores.fear > 0.5, `fear=${scores.fear}`);
+      assert.ok(EMOTIONS.every(e => scores[e] >= 0 && scores[e] <= 1));
+
+      multi.save(tmpPath);
+      const loaded = SentimentAnalyzer.load(tmpPath);
+      assert.equal(loaded.multiLabel, true);
+      assert.deepEqual(loaded.analyze('I am so happy'), multi.analyze('I am so happy'));
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+});
+
+describe('Validation split', () => {
+  it('stratifiedSplit holds out the ratio from every emotion', () => {
+    const { train, validation } = stratifiedSplit(trainingData, 0.2);
+    assert.equal(train.length + validation.length, trainingData.length);
+    for (const e of EMOTIONS) {
+      const total = trainingData.filter(d => d.emotion === e).length;
+      const held = validation.filter(d => d.emotion === e).length;
+      assert.equal(held, Math.round(total * 0.2), `${e} validation count`);
+    }
+    assert.ok(validation.every(d => !train.includes(d)), 'Splits should not overlap');
+  });
+
+  it('seeded splits are reproducible', () => {
+    const a = stratifiedSplit(trainingData, 0.2, createRng(5));
+    const b = stratifiedSplit(trainingData, 0.2, createRng(5));
+    assert.deepEqual(a.validation, b.validation);
+  });
+
+  it('SentimentAnalyzer.train reports validation metrics per epoch', () => {
+    const fresh = new SentimentAnalyzer();
+    const history = fresh.train({ epochs: 3, validationSplit: 0.2 });
+    assert.ok(fresh.validationData.length > 0);
+    assert.ok(history.every(h => typeof h.valAccuracy === 'number'));
+    assert.notEqual(fresh.network.bestEpoch, null);
+  });
+
+  it('SentimentAnalyzer.train rejects splits that leave nothing to train on', () => {
+    const fresh = new SentimentAnalyzer();
+    assert.throws(() => fresh.train({ epochs: 1, validationSplit: 1 }), /Validation split/);
+    assert.throws(() => fresh.train({ epochs: 1, validationSplit: -0.5 }), /Validation split/);
+    assert.throws(() => fresh.train({ epochs: 1, validationSplit: 0.999 }), /no training examples/);
+    for (const patience of [0, -1, 1.5, NaN]) assert.throws(() => fresh.train({ epochs: 1, patience }), /Patience/);
+  });
+});
+
+describe('Evaluation', () => {
+  it('classificationReport computes precision, recall and F1', () => {
+    // rows = actual, cols = predicted
+    const report = classificationReport([[3, 1], [2, 4]], ['a', 'b']);
+    assert.equal(report.total, 10);
+    assert.equal(report.correct, 7);
+    assert.equal(report.accuracy, 0.7);
+    assert.equal(report.perClass.a.precision, 3 / 5);
+    assert.equal(report.perClass.a.recall, 3 / 4);
+    assert.equal(report.perClass.b.precision, 4 / 5);
+    assert.equal(report.perClass.b.recall, 4 / 6);
+    assert.equal(report.perClass.b.support, 6);
+    const f1a = 2 * 0.6 * 0.75 / 1.35;
+    const f1b = 2 * 0.8 * (4 / 6) / (0.8 + 4 / 6);
+    assert.ok(Math.abs(report.macro.f1 - (f1a + f1b) / 2) < 1e-12);
+    assert.equal(report.micro.f1, 0.7);
+  });
+
+  it('evaluate defaults to the held-out split and it survives save/load', () => {
+    const tmpPath = join(__dirname, '_test_eval_weights.json');
+    try {
+      const fresh = new SentimentAnalyzer();
+      fresh.train({ epochs: 3, validationSplit: 0.2 });
+      const report = fresh.evaluate();
+      assert.equal(report.total, fresh.validationData.length);
+      assert.equal(report.confusion.length, EMOTIONS.length);
+      assert.equal(report.confusion.flat().reduce((a, b) => a + b, 0), report.total);
+
+      fresh.save(tmpPath);
+      const loaded = SentimentAnalyzer.load(tmpPath);
+      assert.deepEqual(loaded.validationData, fresh.validationData);
+      assert.deepEqual(loaded.evaluate().confusion, report.confusion);
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+
+  it('readLabeledData accepts JSON arrays and NDJSON, rejects unknown emotions', () => {
+    const tmpPath = join(__dirname, '_test_labeled.json');
+    try {
+      writeFileSync(tmpPath, '{"text":"yay","emotion":"joy"}\n{"text":"eek","emotion":"fear"}\n');
+      assert.deepEqual(readLabeledData(tmpPath).map(d => d.emotion), ['joy', 'fear']);
+      writeFileSync(tmpPath, JSON.stringify([{ text: 'yay', emotion: 'joy' }]));
+      assert.equal(readLabeledData(tmpPath).length, 1);
+      writeFileSync(tmpPath, JSON.stringify([{ text: 'meh', emotion: 'boredom' }]));
+      assert.throws(() => readLabeledData(tmpPath), /Invalid labeled example/);
+    } finally {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+    }
+  });
+});
+
 describe('SentimentAnalyzer (extended)', () => {
   it('analyze throws before training', () => {
     const fresh = new SentimentAnalyzer();
@@ -709,6 +2052,14 @@ describe('ExpressionMapper (extended)', () => {
     assert.equal(frame.dominant, 'joy');
   });
 
+  it('normalize=false blends intensities without forcing a sum of 1', () => {
+    const em = new ExpressionMapper({ smoothing: 0, normalize: false });
+    const frame = em.update({ joy: 0, anger: 0, sadness: 0, surprise: 0.8, fear: 0.9, neutral: 0 });
+    assert.equal(frame.sentiment.fear, 0.9);
+    assert.equal(frame.sentiment.surprise, 0.8);
+    assert.equal(frame.dominant, 'fear');
+  });
+
   it('sentiment normalization sums to 1 after update', () => {
     const em = new ExpressionMapper({ smoothing: 0.3 });
     const raw = { joy: 0.8, anger: 0.1, sadness: 0.05, surprise: 0.03, fear: 0.01, neutral: 0.01 };
@@ -818,6 +2169,88 @@ describe('CLI', () => {
     }
   });
 
+  it('train rejects invalid flags before training', () => {
+    const rejects = (flags, message) => assert.throws(
+      () => execFileSync('node', [faceJs, 'train', ...flags], { encoding: 'utf-8', timeout: 10000, stdio: 'pipe', cwd: __dirname }),
+      err => err.status === 1 && err.stderr.includes(message) && !err.stdout.includes('Training:'),
+      flags.join(' '),
+    );
+    rejects(['--optimizer', 'bogus'], 'Unknown --optimizer');
+    rejects(['--layers', '500,64:bogus,6'], 'Invalid --layers');
+    for (const seed of ['abc', '-1', '1.5']) rejects(['--seed', seed], 'Invalid --seed');
+    rejects(['--lr-schedule', 'step', '--step-size', '0'], 'Invalid lr schedule');
+    rejects(['--warmup', 'abc'], 'Invalid lr schedule');
+    for (const split of ['1', '-0.1', 'abc']) rejects(['--val-split', split], 'Invalid --val-split');
+    for (const patience of ['0', '-5', '2.5', 'abc']) rejects(['--patience', patience], 'Invalid --patience');
+    for (const norm of ['0', '-1', 'abc', 'Infinity']) rejects(['--clip-norm', norm], 'Invalid --clip-norm');
+    for (const dropout of ['1', '-0.1', 'abc']) rejects(['--dropout', dropout], 'Invalid --dropout');
+    for (const decay of ['-0.01', 'abc']) rejects(['--weight-decay', decay], 'Invalid --weight-decay');
+    for (const smoothing of ['1', '3', 'abc']) rejects(['--label-smoothing', smoothing], 'Invalid --label-smoothing');
+  });
+
+  it('convert writes int8 binary weights and compares accuracy', () => {
+    const jsonPath = join(__dirname, '_test_cli_convert.json');
+    const binPath = join(__dirname, '_test_cli_convert.bin');
+    try {
+      execFileSync('node', [faceJs, 'train', '--epochs', '5', '--weights', jsonPath],
+        { encoding: 'utf-8', timeout: 30000, cwd: __dirname });
+      const out = execFileSync('node', [faceJs, 'convert', jsonPath, binPath, '--quantize'],
+        { encoding: 'utf-8', timeout: 30000, cwd: __dirname });
+      assert.ok(out.includes('int8'));
+      assert.ok(out.includes('Accuracy'));
+      assert.ok(out.includes('Max score difference'));
+      assert.ok(SentimentAnalyzer.load(binPath).analyze('hello'));
+    } finally {
+      for (const path of [jsonPath, binPath]) if (existsSync(path)) unlinkSync(path);
+    }
+  });
+
+  it('explain prints per-token contributions', () => {
+    const weightsPath = join(__dirname, '_test_cli_explain.json');
+    try {
+      execFileSync('node', [faceJs, 'train', '--epochs', '5', '--weights', weightsPath],
+        { encoding: 'utf-8', timeout: 30000, cwd: __dirname });
+      const args = [faceJs, 'explain', 'I am so happy', '--weights', weightsPath];
+      const out = execFileSync('node', args, { encoding: 'utf-8', timeout: 30000, cwd: __dirname });
+      assert.ok(out.includes('happy') && out.includes('neutral'));
+      assert.ok(!out.includes('\x1b['), 'No colors when not on a terminal');
+      const json = JSON.parse(execFileSync('node', [...args, '--json'], { encoding: 'utf-8', timeout: 30000, cwd: __dirname }));
+      assert.deepEqual(json.tokens.map(t => t.token), ['i', 'am', 'so', 'happy', '<intensifier>']);
+      assert.ok(json.scores.signals.intensity > 1, 'Signals are part of the JSON scores');
+    } finally {
+      if (existsSync(weightsPath)) unlinkSync(weightsPath);
+    }
+  });
+
+  it('run --analyzer lexicon works without weights', () => {
+    const out = execFileSync('node', [faceJs, 'run', '--analyzer', 'lexicon'],
+      { encoding: 'utf-8', timeout: 10000, cwd: __dirname, input: 'I am so happy\n' });
+    const frame = JSON.parse(out.trim().split('\n')[0]);
+    assert.equal(frame.dominant, 'joy');
+    assert.throws(() => execFileSync('node', [faceJs, 'run', '--analyzer', 'bogus'],
+      { encoding: 'utf-8', timeout: 10000, stdio: 'pipe', input: '' }));
+  });
+
+  it('eval reports a missing or invalid --data file in one line', () => {
+    const weightsPath = join(__dirname, '_test_cli_eval_data.json');
+    const dataPath = join(__dirname, '_test_cli_eval_data.ndjson');
+    try {
+      execFileSync('node', [faceJs, 'train', '--epochs', '1', '--weights', weightsPath],
+        { encoding: 'utf-8', timeout: 30000, cwd: __dirname });
+      writeFileSync(dataPath, '{"text": "hi", "emotion": "glee"}\n');
+      for (const [data, message] of [[join(__dirname, '_missing.ndjson'), 'ENOENT'], [dataPath, 'Invalid labeled example']]) {
+        assert.throws(
+          () => execFileSync('node', [faceJs, 'eval', '--data', data, '--weights', weightsPath],
+            { encoding: 'utf-8', timeout: 30000, stdio: 'pipe', cwd: __dirname }),
+          err => err.status === 1 && err.stderr.startsWith('Cannot read --data:') && err.stderr.includes(message)
+            && !err.stderr.includes('    at '),
+        );
+      }
+    } finally {
+      for (const path of [weightsPath, dataPath]) if (existsSync(path)) unlinkSync(path);
+    }
+  });
+
   it('eval command requires weights', () => {
     // If weights.json doesn't exist, eval should error
     // If it does exist, eval should print accuracy
@@ -132,14 +132,16 @@ const deformations = {
 };
 
 // Apply emotion deformations weighted by scores
-// scores: { joy: 0.7, anger: 0.1, ... } — should sum to ~1
-export function deform(scores) {
+// scores: { joy: 0.7, anger: 0.1, ... } — usually sum to ~1; multi-label
+// intensities are each in [0, 1] and stack their deformations
+// intensity: overall scale of the deformation (1 = as designed, 2 = doubled)
+export function deform(scores, intensity = 1) {
   return landmarks.map((lm, i) => {
     let dx = 0, dy = 0;
     for (const [emotion, weight] of Object.entries(scores)) {
       if (deformations[emotion]) {
-        dx += deformations[emotion][i].dx * weight;
-        dy += deformations[emotion][i].dy * weight;
+        dx += deformations[emotion][i].dx * weight * intensity;
+        dy += deformations[emotion][i].dy * weight * intensity;
       }
     }
     return {
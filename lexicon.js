@@ -0,0 +1,160 @@
+// lexicon.js — Lexicon-based emotion analyzer, and a lexicon/network hybrid
+// Both share SentimentAnalyzer's analyze/push/dominant interface; the
+// lexicon needs no training data, only a JSON word list.
+
+import { readFileSync } from 'node:fs';
+import { EMOTIONS } from './training-data.js';
+import {
+  tokenize, intensityCues, withConfidence, pushWindow, createWindowWeighting, INTENSIFIERS, STOPWORDS,
+} from './sentiment.js';
+import { stem } from './stemmer.js';
+
+// Negated emotion words move to the opposite emotion ("not happy" → sadness),
+// or to neutral for emotions without one, at half weight
+const DEFAULT_NEGATION = { scale: 0.5, flip: { joy: 'sadness', sadness: 'joy' } };
+
+const STOPWORD_SET = new Set(STOPWORDS);
+
+function dominant(emotions, scores) {
+  let best = null, bestVal = -1;
+  for (const e of emotions) {
+    if (scores[e] > bestVal) { best = e; bestVal = scores[e]; }
+  }
+  return best;
+}
+
+export class LexiconAnalyzer {
+  // `lexicon` is { words: { word: { emotion: weight } }, intensifiers?,
+  // negation?, baseline? }; each word must be a single token
+  constructor(lexicon, {
+    windowSize = 5, windowWeighting = 'uniform', minConfidence = 0, confidenceWeighted = false,
+  } = {}) {
+    createWindowWeighting(windowWeighting);
+    this.emotions = EMOTIONS;
+    this.words = new Map();
+    this.stems = new Map();
+    for (const [entry, weights] of Object.entries(lexicon.words || {})) {
+      for (const e of Object.keys(weights))
+        if (!this.emotions.includes(e)) throw new Error(`Unknown emotion in lexicon: ${e}`);
+      const tokens = tokenize(entry, { negation: false });
+      if (tokens.length !== 1) throw new Error(`Lexicon entries must be single words: ${JSON.stringify(entry)}`);
+      const [word] = tokens;
+      this.words.set(word, weights);
+      if (!this.stems.has(stem(word))) this.stems.set(stem(word), weights);
+    }
+    this.intensifiers = new Map(Object.entries(
+      lexicon.intensifiers || Object.fromEntries([...INTENSIFIERS].map(w => [w, 1.5]))
+    ));
+    this.negation = { ...DEFAULT_NEGATION, ...lexicon.negation };
+    this.baseline = lexicon.baseline ?? 0.5;
+    this.multiLabel = false;
+    this.windowSize = windowSize;
+    this.windowWeighting = windowWeighting;
+    this.minConfidence = minConfidence;
+    this.confidenceWeighted = confidenceWeighted;
+    this.window = [];
+  }
+
+  static load(path, options) {
+    return new LexiconAnalyzer(JSON.parse(readFileSync(path, 'utf-8')), options);
+  }
+
+  // Emotion weights for a word, by exact match or Porter stem
+  lookup(word) {
+    return this.words.get(word) || this.stems.get(stem(word)) || null;
+  }
+
+  // Analyze a single text → emotion scores summing to 1, with the same
+  // signals as SentimentAnalyzer.analyze; `coverage` is the fraction of
+  // tokens found in the lexicon (emotion words and intensifiers), stopwords
+  // left out as in Vocabulary.coverage
+  analyze(text) {
+    const raw = {};
+    for (const e of this.emotions) raw[e] = 0;
+    raw.neutral += this.baseline;
+    const tokens = tokenize(text);
+    let known = 0, counted = 0, boost = 1;
+    for (const token of tokens) {
+      const negated = token.startsWith('not_');
+      const word = negated ? token.slice(4) : token;
+      const counts = !STOPWORD_SET.has(word);
+      if (counts) counted++;
+      if (this.intensifiers.has(word)) {
+        boost *= this.intensifiers.get(word);
+        if (counts) known++;
+        continue;
+      }
+      const weights = this.lookup(word);
+      if (weights) {
+        if (counts) known++;
+        for (const [e, w] of Object.entries(weights)) {
+          if (negated) raw[this.negation.flip[e] || 'neutral'] += w * boost * this.negation.scale;
+          else raw[e] += w * boost;
+        }
+      }
+      boost = 1;
+    }
+
+    const total = Object.values(raw).reduce((a, b) => a + b, 0);
+    const scores = {};
+    for (const e of this.emotions) scores[e] = total > 0 ? raw[e] / total : (e === 'neutral' ? 1 : 0);
+    return withConfidence(scores, {
+      intensity: intensityCues(text).intensity,
+      coverage: counted > 0 ? known / counted : 0,
+    });
+  }
+
+  // Push a line into the sliding window (see pushWindow)
+  push(text, options) {
+    return pushWindow(this, text, options);
+  }
+
+  dominant(scores) {
+    return dominant(this.emotions, scores);
+  }
+}
+
+export class HybridAnalyzer {
+  // Blend a trained SentimentAnalyzer (`network`) with a LexiconAnalyzer:
+  // scores are (1 − weight)·network + weight·lexicon, coverage blends the
+  // same way, and ensemble disagreement shrinks by (1 − weight) as the
+  // lexicon's share holds still. Window options are as for SentimentAnalyzer.
+  constructor(network, lexicon, {
+    weight = 0.5, windowSize = 5, windowWeighting = 'uniform', minConfidence = 0, confidenceWeighted = false,
+  } = {}) {
+    if (!(weight >= 0 && weight <= 1)) throw new Error(`Lexicon weight must be in [0, 1], got ${weight}`);
+    createWindowWeighting(windowWeighting);
+    this.network = network;
+    this.lexicon = lexicon;
+    this.weight = weight;
+    this.emotions = network.emotions;
+    this.multiLabel = network.multiLabel;
+    this.windowSize = windowSize;
+    this.windowWeighting = windowWeighting;
+    this.minConfidence = minConfidence;
+    this.confidenceWeighted = confidenceWeighted;
+    this.window = [];
+  }
+
+  analyze(text) {
+    const a = this.network.analyze(text);
+    const b = this.lexicon.analyze(text);
+    const w = this.weight;
+    const scores = {};
+    for (const e of this.emotions) scores[e] = (1 - w) * a[e] + w * b[e];
+    return withConfidence(scores, {
+      intensity: a.signals.intensity,
+      coverage: (1 - w) * a.signals.coverage + w * b.signals.coverage,
+      disagreement: (1 - w) * a.signals.disagreement,
+    });
+  }
+
+  // Push a line into the sliding window (see pushWindow)
+  push(text, options) {
+    return pushWindow(this, text, options);
+  }
+
+  dominant(scores) {
+    return dominant(this.emotions, scores);
+  }
+}
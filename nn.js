@@ -1,5 +1,5 @@
 // nn.js — Minimal feed-forward neural network from scratch
-// Matrix math, activations, forward/backprop, SGD
+// Matrix math, activations, forward/backprop, optimizers (SGD, momentum, RMSProp, Adam)
 
 export class Matrix {
   constructor(rows, cols, data) {
@@ -32,43 +32,113 @@ export class Matrix {
   get(i, j) { return this.data[i * this.cols + j]; }
   set(i, j, v) { this.data[i * this.cols + j] = v; }
 
-  add(other) {
-    const out = new Matrix(this.rows, this.cols);
+  // Methods taking an optional `out` write into it instead of allocating,
+  // so training can reuse preallocated buffers.
+
+  add(other, out = new Matrix(this.rows, this.cols)) {
     for (let i = 0; i < this.data.length; i++)
       out.data[i] = this.data[i] + other.data[i];
     return out;
   }
 
-  sub(other) {
-    const out = new Matrix(this.rows, this.cols);
+  sub(other, out = new Matrix(this.rows, this.cols)) {
     for (let i = 0; i < this.data.length; i++)
       out.data[i] = this.data[i] - other.data[i];
     return out;
   }
 
   // Matrix multiplication: this (m×n) × other (n×p) → (m×p)
-  mul(other) {
-    const out = new Matrix(this.rows, other.cols);
+  // A SparseMatrix operand only reads the columns at its non-zero rows
+  mul(other, out = new Matrix(this.rows, other.cols)) {
+    const n = this.cols, p = other.cols;
+    if (other instanceof SparseMatrix) {
+      const { colPtr, indices, values } = other;
+      for (let i = 0; i < this.rows; i++)
+        for (let j = 0; j < p; j++) {
+          let sum = 0;
+          for (let k = colPtr[j]; k < colPtr[j + 1]; k++)
+            sum += this.data[i * n + indices[k]] * values[k];
+          out.data[i * p + j] = sum;
+        }
+      return out;
+    }
+    out.data.fill(0);
+    for (let i = 0; i < this.rows; i++)
+      for (let k = 0; k < n; k++) {
+        const a = this.data[i * n + k];
+        if (a === 0) continue;
+        for (let j = 0; j < p; j++)
+          out.data[i * p + j] += a * other.data[k * p + j];
+      }
+    return out;
+  }
+
+  // this (m×p) × otherᵀ (p×n) → (m×n), without materializing the transpose.
+  // A SparseMatrix operand only touches the output columns of its non-zeros;
+  // given those columns (other.activeRows()) as `cols`, only they are cleared
+  // and the rest of `out` is left as it was.
+  mulTransposed(other, out = new Matrix(this.rows, other.rows), cols = null) {
+    const p = this.cols, n = other.rows;
+    if (other instanceof SparseMatrix) {
+      const { colPtr, indices, values } = other;
+      if (cols) out.clearCols(cols);
+      else out.data.fill(0);
+      for (let b = 0; b < p; b++)
+        for (let k = colPtr[b]; k < colPtr[b + 1]; k++) {
+          const j = indices[k], v = values[k];
+          for (let i = 0; i < this.rows; i++)
+            out.data[i * n + j] += this.data[i * p + b] * v;
+        }
+      return out;
+    }
     for (let i = 0; i < this.rows; i++)
-      for (let j = 0; j < other.cols; j++) {
+      for (let j = 0; j < n; j++) {
         let sum = 0;
-        for (let k = 0; k < this.cols; k++)
-          sum += this.data[i * this.cols + k] * other.data[k * other.cols + j];
-        out.data[i * other.cols + j] = sum;
+        for (let b = 0; b < p; b++)
+          sum += this.data[i * p + b] * other.data[j * p + b];
+        out.data[i * n + j] = sum;
+      }
+    return out;
+  }
+
+  // Zero the given columns
+  clearCols(cols) {
+    for (let i = 0; i < this.rows; i++)
+      for (const j of cols) this.data[i * this.cols + j] = 0;
+    return this;
+  }
+
+  // Flat data positions of the given columns, row by row
+  colEntries(cols) {
+    const out = new Int32Array(this.rows * cols.length);
+    let k = 0;
+    for (let i = 0; i < this.rows; i++)
+      for (const j of cols) out[k++] = i * this.cols + j;
+    return out;
+  }
+
+  // thisᵀ (n×m) × other (m×p) → (n×p), without materializing the transpose
+  transposeMul(other, out = new Matrix(this.cols, other.cols)) {
+    const n = this.cols, p = other.cols;
+    out.data.fill(0);
+    for (let k = 0; k < this.rows; k++)
+      for (let i = 0; i < n; i++) {
+        const a = this.data[k * n + i];
+        if (a === 0) continue;
+        for (let j = 0; j < p; j++)
+          out.data[i * p + j] += a * other.data[k * p + j];
       }
     return out;
   }
 
   // Element-wise multiplication (Hadamard)
-  hadamard(other) {
-    const out = new Matrix(this.rows, this.cols);
+  hadamard(other, out = new Matrix(this.rows, this.cols)) {
     for (let i = 0; i < this.data.length; i++)
       out.data[i] = this.data[i] * other.data[i];
     return out;
   }
 
-  scale(s) {
-    const out = new Matrix(this.rows, this.cols);
+  scale(s, out = new Matrix(this.rows, this.cols)) {
     for (let i = 0; i < this.data.length; i++)
       out.data[i] = this.data[i] * s;
     return out;
@@ -82,22 +152,30 @@ export class Matrix {
     return out;
   }
 
-  map(fn) {
-    const out = new Matrix(this.rows, this.cols);
+  map(fn, out = new Matrix(this.rows, this.cols)) {
     for (let i = 0; i < this.data.length; i++)
       out.data[i] = fn(this.data[i], i);
     return out;
   }
 
   // Add a column vector (rows×1) to each column — broadcast bias
-  addVec(vec) {
-    const out = new Matrix(this.rows, this.cols);
+  addVec(vec, out = new Matrix(this.rows, this.cols)) {
     for (let i = 0; i < this.rows; i++)
       for (let j = 0; j < this.cols; j++)
         out.data[i * this.cols + j] = this.data[i * this.cols + j] + vec.data[i];
     return out;
   }
 
+  // Sum across columns → column vector (rows×1)
+  sumCols(out = new Matrix(this.rows, 1)) {
+    for (let i = 0; i < this.rows; i++) {
+      let sum = 0;
+      for (let j = 0; j < this.cols; j++) sum += this.data[i * this.cols + j];
+      out.data[i] = sum;
+    }
+    return out;
+  }
+
   toArray() {
     return Array.from(this.data);
   }
@@ -115,16 +193,122 @@ export class Matrix {
   }
 }
 
+// Sparse matrix in compressed-column form: column j's non-zero rows are
+// indices[colPtr[j] .. colPtr[j + 1]) with matching values.
+export class SparseMatrix {
+  constructor(rows, cols, colPtr, indices, values) {
+    this.rows = rows;
+    this.cols = cols;
+    this.colPtr = colPtr;
+    this.indices = indices;
+    this.values = values;
+  }
+
+  // Stack sparse column vectors side by side (one column per sample)
+  static fromColumns(vectors) {
+    const colPtr = new Int32Array(vectors.length + 1);
+    for (let j = 0; j < vectors.length; j++)
+      colPtr[j + 1] = colPtr[j] + vectors[j].indices.length;
+    const indices = new Int32Array(colPtr[vectors.length]);
+    const values = new Float64Array(colPtr[vectors.length]);
+    for (let j = 0; j < vectors.length; j++) {
+      indices.set(vectors[j].indices, colPtr[j]);
+      values.set(vectors[j].values, colPtr[j]);
+    }
+    return new SparseMatrix(vectors[0].rows, vectors.length, colPtr, indices, values);
+  }
+
+  // Non-zero entries of a dense matrix, column by column
+  static fromDense(m) {
+    const colPtr = new Int32Array(m.cols + 1);
+    const indices = [], values = [];
+    for (let j = 0; j < m.cols; j++) {
+      for (let i = 0; i < m.rows; i++) {
+        const v = m.data[i * m.cols + j];
+        if (v !== 0) { indices.push(i); values.push(v); }
+      }
+      colPtr[j + 1] = indices.length;
+    }
+    return new SparseMatrix(m.rows, m.cols, colPtr, Int32Array.from(indices), Float64Array.from(values));
+  }
+
+  toDense() {
+    const out = new Matrix(this.rows, this.cols);
+    for (let j = 0; j < this.cols; j++)
+      for (let k = this.colPtr[j]; k < this.colPtr[j + 1]; k++)
+        out.data[this.indices[k] * this.cols + j] += this.values[k];
+    return out;
+  }
+
+  toArray() {
+    return this.toDense().toArray();
+  }
+
+  // Sorted distinct row indices with an entry in any column
+  activeRows() {
+    return Int32Array.from(new Set(this.indices)).sort();
+  }
+}
+
+// Sparse column vector (size×1): only the listed indices are non-zero.
+// Values default to 1, as in a binary bag-of-words.
+export class SparseVector extends SparseMatrix {
+  constructor(size, indices, values) {
+    const idx = Int32Array.from(indices);
+    const vals = values ? Float64Array.from(values) : new Float64Array(idx.length).fill(1);
+    super(size, 1, Int32Array.of(0, idx.length), idx, vals);
+  }
+}
+
+// Stack column vectors (dense or sparse) into one matrix, one column per sample
+export function stackColumns(vectors, out) {
+  if (vectors[0] instanceof SparseMatrix) return SparseMatrix.fromColumns(vectors);
+  const n = vectors.length;
+  out ||= new Matrix(vectors[0].rows, n);
+  for (let j = 0; j < n; j++)
+    for (let i = 0; i < out.rows; i++)
+      out.data[i * n + j] = vectors[j].data[i];
+  return out;
+}
+
+// Seeded PRNG (mulberry32) — a drop-in for Math.random with a fixed sequence
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Random 32-bit seed for runs that don't specify one
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+// In-place Fisher–Yates shuffle
+export function shuffleInPlace(arr, rng = Math.random) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
 // Xavier initialization
-export function xavierInit(rows, cols) {
+export function xavierInit(rows, cols, rng = Math.random) {
   const limit = Math.sqrt(6 / (rows + cols));
   const m = new Matrix(rows, cols);
   for (let i = 0; i < m.data.length; i++)
-    m.data[i] = (Math.random() * 2 - 1) * limit;
+    m.data[i] = (rng() * 2 - 1) * limit;
   return m;
 }
 
-// Activation functions
+const GELU_C = Math.sqrt(2 / Math.PI);
+
+// Activation functions (fn, and its derivative dfn, of the pre-activation)
 export const activations = {
   relu: {
     fn: x => Math.max(0, x),
@@ -138,64 +322,645 @@ export const activations = {
     fn: x => Math.tanh(x),
     dfn: x => 1 - Math.tanh(x) ** 2,
   },
+  leaky_relu: {
+    fn: x => x > 0 ? x : 0.01 * x,
+    dfn: x => x > 0 ? 1 : 0.01,
+  },
+  elu: {
+    fn: x => x > 0 ? x : Math.exp(x) - 1,
+    dfn: x => x > 0 ? 1 : Math.exp(x),
+  },
+  // GELU, tanh approximation
+  gelu: {
+    fn: x => 0.5 * x * (1 + Math.tanh(GELU_C * (x + 0.044715 * x ** 3))),
+    dfn: x => {
+      const t = Math.tanh(GELU_C * (x + 0.044715 * x ** 3));
+      return 0.5 * (1 + t) + 0.5 * x * (1 - t * t) * GELU_C * (1 + 3 * 0.044715 * x * x);
+    },
+  },
+  softplus: {
+    fn: x => x > 30 ? x : Math.log1p(Math.exp(x)),
+    dfn: x => 1 / (1 + Math.exp(-Math.min(Math.max(x, -500), 500))),
+  },
 };
 
-// Softmax on a column vector (rows×1)
-export function softmax(vec) {
-  const out = new Matrix(vec.rows, 1);
-  let maxVal = -Infinity;
-  for (let i = 0; i < vec.rows; i++)
-    if (vec.data[i] > maxVal) maxVal = vec.data[i];
-  let sum = 0;
-  for (let i = 0; i < vec.rows; i++) {
-    out.data[i] = Math.exp(vec.data[i] - maxVal);
-    sum += out.data[i];
-  }
-  for (let i = 0; i < vec.rows; i++)
-    out.data[i] /= sum;
+// Parse a layer spec like "500,64:gelu,32:relu,6" → { sizes, hiddenActivations }.
+// Hidden layers without an activation use `defaultActivation`.
+export function parseLayerSpec(spec, defaultActivation = 'relu') {
+  const parts = spec.split(',').map(p => p.trim());
+  if (parts.length < 2) throw new Error(`Layer spec needs input and output sizes: ${spec}`);
+  const sizes = [];
+  const hiddenActivations = [];
+  parts.forEach((part, i) => {
+    const [size, activation] = part.split(':');
+    const n = parseInt(size, 10);
+    if (!(n > 0)) throw new Error(`Invalid layer size "${size}" in ${spec}`);
+    const hidden = i > 0 && i < parts.length - 1;
+    if (activation && !hidden) throw new Error(`Only hidden layers take an activation: ${part}`);
+    if (activation && !activations[activation]) throw new Error(`Unknown activation: ${activation}`);
+    sizes.push(n);
+    if (hidden) hiddenActivations.push(activation || defaultActivation);
+  });
+  return { sizes, hiddenActivations };
+}
+
+// Softmax down each column (one distribution per sample)
+export function softmax(m, out = new Matrix(m.rows, m.cols)) {
+  const { rows, cols } = m;
+  for (let j = 0; j < cols; j++) {
+    let maxVal = -Infinity;
+    for (let i = 0; i < rows; i++)
+      if (m.data[i * cols + j] > maxVal) maxVal = m.data[i * cols + j];
+    let sum = 0;
+    for (let i = 0; i < rows; i++) {
+      out.data[i * cols + j] = Math.exp(m.data[i * cols + j] - maxVal);
+      sum += out.data[i * cols + j];
+    }
+    for (let i = 0; i < rows; i++)
+      out.data[i * cols + j] /= sum;
+  }
   return out;
 }
 
-// Cross-entropy loss for softmax output vs one-hot target
-export function crossEntropyLoss(predicted, target) {
+// Row index of the largest entry in column j
+export function argmax(m, j = 0) {
+  let best = 0;
+  for (let i = 1; i < m.rows; i++)
+    if (m.data[i * m.cols + j] > m.data[best * m.cols + j]) best = i;
+  return best;
+}
+
+// Number of columns whose argmax matches the target's
+export function countCorrect(predicted, target) {
+  let correct = 0;
+  for (let j = 0; j < predicted.cols; j++)
+    if (argmax(predicted, j) === argmax(target, j)) correct++;
+  return correct;
+}
+
+// Label smoothing: mix targets with the uniform distribution over `classes`
+// outcomes — t·(1 − ε) + ε/classes (classes = 2 for independent sigmoid units)
+export function smoothLabels(target, smoothing, classes = target.rows, out = new Matrix(target.rows, target.cols)) {
+  for (let i = 0; i < target.data.length; i++)
+    out.data[i] = target.data[i] * (1 - smoothing) + smoothing / classes;
+  return out;
+}
+
+// Per-column loss weights for softmax outputs: the target-weighted mean of
+// `classWeights` (the true class's weight for a one-hot target), or null
+// without class weights. Sigmoid outputs weigh each unit by its own class.
+export function sampleWeights(target, classWeights) {
+  if (!classWeights) return null;
+  const { rows, cols } = target;
+  const weights = new Float64Array(cols);
+  for (let j = 0; j < cols; j++) {
+    let sum = 0, total = 0;
+    for (let i = 0; i < rows; i++) {
+      sum += classWeights[i] * target.data[i * cols + j];
+      total += target.data[i * cols + j];
+    }
+    weights[j] = total > 0 ? sum / total : 1;
+  }
+  return weights;
+}
+
+// Cross-entropy loss for softmax output vs one-hot (or soft) target, summed
+// over columns. `classWeights` scales each sample's loss by its class weight;
+// `smoothing` applies label smoothing to the target first.
+export function crossEntropyLoss(predicted, target, { classWeights = null, smoothing = 0 } = {}) {
+  const t = smoothing > 0 ? smoothLabels(target, smoothing) : target;
+  const w = sampleWeights(target, classWeights);
+  let loss = 0;
+  for (let i = 0; i < t.data.length; i++)
+    if (t.data[i] > 0)
+      loss -= (w ? w[i % t.cols] : 1) * t.data[i] * Math.log(Math.max(predicted.data[i], 1e-15));
+  return loss;
+}
+
+// Binary cross-entropy for independent sigmoid outputs vs 0–1 targets, summed.
+// `classWeights` scales each output unit's loss, positive or negative, by its
+// own class's weight; `smoothing` is as for crossEntropyLoss.
+export function binaryCrossEntropyLoss(predicted, target, { classWeights = null, smoothing = 0 } = {}) {
+  const t = smoothing > 0 ? smoothLabels(target, smoothing, 2) : target;
   let loss = 0;
-  for (let i = 0; i < target.rows; i++)
-    if (target.data[i] > 0)
-      loss -= target.data[i] * Math.log(Math.max(predicted.data[i], 1e-15));
+  for (let i = 0; i < t.data.length; i++) {
+    const p = Math.min(Math.max(predicted.data[i], 1e-15), 1 - 1e-15);
+    const w = classWeights ? classWeights[Math.floor(i / t.cols)] : 1;
+    loss -= w * (t.data[i] * Math.log(p) + (1 - t.data[i]) * Math.log(1 - p));
+  }
   return loss;
 }
 
+// Optimizers — update parameters in place from batch-averaged gradients.
+// Per-parameter state is indexed by position in Network.params().
+
+export class SGD {
+  constructor({ lr = 0.01 } = {}) {
+    this.type = 'sgd';
+    this.lr = lr;
+  }
+
+  // `active[p]`, when set, lists the only positions of grads[p] that can be
+  // non-zero (see Matrix.colEntries); the rest of params[p] is left alone
+  step(params, grads, active = []) {
+    for (let p = 0; p < params.length; p++) {
+      const w = params[p].data, g = grads[p].data;
+      if (active[p]) for (const i of active[p]) w[i] -= this.lr * g[i];
+      else for (let i = 0; i < w.length; i++) w[i] -= this.lr * g[i];
+    }
+  }
+
+  toJSON() {
+    return { type: this.type, lr: this.lr };
+  }
+}
+
+// Classical momentum: v = mu·v + g, w -= lr·v
+export class Momentum {
+  constructor({ lr = 0.01, momentum = 0.9, velocity = [] } = {}) {
+    this.type = 'momentum';
+    this.lr = lr;
+    this.momentum = momentum;
+    this.velocity = velocity.map(v => Float64Array.from(v));
+  }
+
+  step(params, grads) {
+    for (let p = 0; p < params.length; p++) {
+      const w = params[p].data, g = grads[p].data;
+      const v = this.velocity[p] ||= new Float64Array(w.length);
+      for (let i = 0; i < w.length; i++) {
+        v[i] = this.momentum * v[i] + g[i];
+        w[i] -= this.lr * v[i];
+      }
+    }
+  }
+
+  toJSON() {
+    return {
+      type: this.type, lr: this.lr, momentum: this.momentum,
+      velocity: this.velocity.map(v => Array.from(v)),
+    };
+  }
+}
+
+// RMSProp: running average of squared gradients scales each step
+export class RMSProp {
+  constructor({ lr = 0.001, rho = 0.9, eps = 1e-8, cache = [] } = {}) {
+    this.type = 'rmsprop';
+    this.lr = lr;
+    this.rho = rho;
+    this.eps = eps;
+    this.cache = cache.map(c => Float64Array.from(c));
+  }
+
+  step(params, grads) {
+    for (let p = 0; p < params.length; p++) {
+      const w = params[p].data, g = grads[p].data;
+      const s = this.cache[p] ||= new Float64Array(w.length);
+      for (let i = 0; i < w.length; i++) {
+        s[i] = this.rho * s[i] + (1 - this.rho) * g[i] * g[i];
+        w[i] -= this.lr * g[i] / (Math.sqrt(s[i]) + this.eps);
+      }
+    }
+  }
+
+  toJSON() {
+    return {
+      type: this.type, lr: this.lr, rho: this.rho, eps: this.eps,
+      cache: this.cache.map(c => Array.from(c)),
+    };
+  }
+}
+
+// Adam: bias-corrected first and second moment estimates
+export class Adam {
+  constructor({ lr = 0.001, beta1 = 0.9, beta2 = 0.999, eps = 1e-8, t = 0, m = [], v = [] } = {}) {
+    this.type = 'adam';
+    this.lr = lr;
+    this.beta1 = beta1;
+    this.beta2 = beta2;
+    this.eps = eps;
+    this.t = t;
+    this.m = m.map(x => Float64Array.from(x));
+    this.v = v.map(x => Float64Array.from(x));
+  }
+
+  step(params, grads) {
+    this.t++;
+    const c1 = 1 - this.beta1 ** this.t;
+    const c2 = 1 - this.beta2 ** this.t;
+    for (let p = 0; p < params.length; p++) {
+      const w = params[p].data, g = grads[p].data;
+      const m = this.m[p] ||= new Float64Array(w.length);
+      const v = this.v[p] ||= new Float64Array(w.length);
+      for (let i = 0; i < w.length; i++) {
+        m[i] = this.beta1 * m[i] + (1 - this.beta1) * g[i];
+        v[i] = this.beta2 * v[i] + (1 - this.beta2) * g[i] * g[i];
+        w[i] -= this.lr * (m[i] / c1) / (Math.sqrt(v[i] / c2) + this.eps);
+      }
+    }
+  }
+
+  toJSON() {
+    return {
+      type: this.type, lr: this.lr, beta1: this.beta1, beta2: this.beta2, eps: this.eps, t: this.t,
+      m: this.m.map(x => Array.from(x)),
+      v: this.v.map(x => Array.from(x)),
+    };
+  }
+}
+
+export const optimizers = { sgd: SGD, momentum: Momentum, rmsprop: RMSProp, adam: Adam };
+
+// Create an optimizer by name, or restore one from its toJSON() form
+export function createOptimizer(spec = 'sgd', opts = {}) {
+  const { type, ...config } = typeof spec === 'string' ? { type: spec, ...opts } : spec;
+  const Opt = optimizers[type];
+  if (!Opt) throw new Error(`Unknown optimizer: ${type}`);
+  return new Opt(config);
+}
+
+// Learning-rate schedules — each factory returns (epoch, epochs) → multiplier
+// on the base lr, with 0-based `epoch` out of `epochs` total
+export const schedules = {
+  constant: () => () => 1,
+  // Multiply by `gamma` every `stepSize` epochs
+  step: ({ stepSize = 10, gamma = 0.5 } = {}) => {
+    if (!(stepSize > 0)) throw new Error(`Step size must be positive, got ${stepSize}`);
+    if (!(gamma > 0)) throw new Error(`Gamma must be positive, got ${gamma}`);
+    return epoch => gamma ** Math.floor(epoch / stepSize);
+  },
+  // Half-cosine from 1 down to `minFactor` over the run
+  cosine: ({ minFactor = 0 } = {}) => {
+    if (!(minFactor >= 0 && minFactor <= 1)) throw new Error(`Min factor must be in [0, 1], got ${minFactor}`);
+    return (epoch, epochs) => minFactor + (1 - minFactor) * (1 + Math.cos(Math.PI * epoch / Math.max(1, epochs))) / 2;
+  },
+};
+
+// Create a schedule from a name or { type, warmup, ...options }. The first
+// `warmup` epochs ramp linearly up to the base lr (lr/warmup, 2·lr/warmup, …);
+// the named schedule then runs over the remaining epochs.
+export function createSchedule(spec = 'constant', opts = {}) {
+  const { type = 'constant', warmup = 0, ...config } = typeof spec === 'string' ? { type: spec, ...opts } : spec;
+  const make = schedules[type];
+  if (!make) throw new Error(`Unknown lr schedule: ${type}`);
+  if (!(Number.isInteger(warmup) && warmup >= 0)) throw new Error(`Warmup must be a non-negative integer, got ${warmup}`);
+  const factor = make(config);
+  return (epoch, epochs) => (epoch < warmup ? (epoch + 1) / warmup : factor(epoch - warmup, epochs - warmup));
+}
+
+// Scale gradients in place so their global L2 norm (over all of them) is at
+// most `maxNorm`. Returns the norm before clipping. `active` (see SGD.step)
+// limits each gradient to the positions that can be non-zero.
+export function clipGradNorm(grads, maxNorm, active = []) {
+  let sq = 0;
+  grads.forEach((g, p) => {
+    if (active[p]) for (const i of active[p]) sq += g.data[i] * g.data[i];
+    else for (let i = 0; i < g.data.length; i++) sq += g.data[i] * g.data[i];
+  });
+  const norm = Math.sqrt(sq);
+  if (norm > maxNorm) grads.forEach((g, p) => scaleEntries(g, maxNorm / norm, active[p]));
+  return norm;
+}
+
+// Scale m in place, or only the data positions in `positions`
+function scaleEntries(m, s, positions) {
+  if (!positions) return m.scale(s, m);
+  for (const i of positions) m.data[i] *= s;
+  return m;
+}
+
+// Front ends turn raw input columns into the first dense layer's input. Both
+// Embedding and GRU provide outputSize, params(), forward(input, out) →
+// { output, cache } and backward(input, delta, cache, grads) → grads for params().
+
+// Learned embedding front end: every input row (token index) owns a trainable
+// `dim`-sized vector in column t of `weights` (dim×vocabSize). Each sample's
+// present tokens are pooled into one column — 'mean' weights each vector by
+// its input value (e.g. a count), 'max' takes the per-dimension maximum.
+export class Embedding {
+  constructor(vocabSize, dim, { pooling = 'mean', rng = Math.random } = {}) {
+    if (pooling !== 'mean' && pooling !== 'max') throw new Error(`Unknown pooling: ${pooling}`);
+    this.vocabSize = vocabSize;
+    this.dim = dim;
+    this.pooling = pooling;
+    this.weights = xavierInit(dim, vocabSize, rng);
+  }
+
+  get outputSize() { return this.dim; }
+
+  params() {
+    return [this.weights];
+  }
+
+  // Pool one column per sample into `out` (dim×cols). For max pooling, the
+  // winning token of each output cell is cached in `argmax` (-1 if none).
+  forward(input, out = new Matrix(this.dim, input.cols)) {
+    const x = input instanceof SparseMatrix ? input : SparseMatrix.fromDense(input);
+    const argmax = new Int32Array(this.dim * input.cols);
+    const n = x.cols, V = this.vocabSize, w = this.weights.data;
+    out.data.fill(this.pooling === 'max' ? -Infinity : 0);
+    argmax.fill(-1);
+    for (let j = 0; j < n; j++) {
+      let total = 0;
+      for (let k = x.colPtr[j]; k < x.colPtr[j + 1]; k++) total += x.values[k];
+      for (let k = x.colPtr[j]; k < x.colPtr[j + 1]; k++) {
+        const t = x.indices[k];
+        if (this.pooling === 'mean') {
+          const s = total !== 0 ? x.values[k] / total : 0;
+          for (let d = 0; d < this.dim; d++) out.data[d * n + j] += w[d * V + t] * s;
+        } else {
+          for (let d = 0; d < this.dim; d++) {
+            if (w[d * V + t] > out.data[d * n + j]) {
+              out.data[d * n + j] = w[d * V + t];
+              argmax[d * n + j] = t;
+            }
+          }
+        }
+      }
+    }
+    if (this.pooling === 'max')
+      for (let i = 0; i < out.data.length; i++) if (argmax[i] < 0) out.data[i] = 0;
+    return { output: out, cache: argmax };
+  }
+
+  // Gradient of the embedding table from the pooled-output gradient `delta`
+  backward(input, delta, argmax, grads = [new Matrix(this.dim, this.vocabSize)]) {
+    const x = input instanceof SparseMatrix ? input : SparseMatrix.fromDense(input);
+    const n = x.cols, V = this.vocabSize;
+    const dw = grads[0];
+    dw.data.fill(0);
+    if (this.pooling === 'max') {
+      for (let i = 0; i < delta.data.length; i++)
+        if (argmax[i] >= 0) dw.data[Math.floor(i / n) * V + argmax[i]] += delta.data[i];
+      return grads;
+    }
+    for (let j = 0; j < n; j++) {
+      let total = 0;
+      for (let k = x.colPtr[j]; k < x.colPtr[j + 1]; k++) total += x.values[k];
+      if (total === 0) continue;
+      for (let k = x.colPtr[j]; k < x.colPtr[j + 1]; k++) {
+        const t = x.indices[k], s = x.values[k] / total;
+        for (let d = 0; d < this.dim; d++) dw.data[d * V + t] += delta.data[d * n + j] * s;
+      }
+    }
+    return grads;
+  }
+
+  toJSON() {
+    return { dim: this.dim, pooling: this.pooling, weights: this.weights.toJSON() };
+  }
+}
+
+// Gated recurrent unit front end. Each input column is read as an ordered
+// token sequence (its non-zero row indices in stored order, as built by
+// Vocabulary.encodeSequence); tokens are embedded and folded into a hidden
+// state h, starting from zeros:
+//   z = σ(Wz·x + Uz·h + bz)          update gate
+//   r = σ(Wr·x + Ur·h + br)          reset gate
+//   c = tanh(Wc·x + Uc·(r ⊙ h) + bc) candidate
+//   h ← (1 − z) ⊙ h + z ⊙ c
+// The final hidden state is the output column. Gate parameters are stacked
+// row-wise as [z; r; c] in `wx` (3H×dim), `wh` (3H×H) and `b` (3H×1).
+export class GRU {
+  constructor(vocabSize, dim, hiddenSize, { rng = Math.random } = {}) {
+    this.vocabSize = vocabSize;
+    this.dim = dim;
+    this.hiddenSize = hiddenSize;
+    this.embedding = xavierInit(dim, vocabSize, rng); // column t is token t's vector
+    this.wx = xavierInit(3 * hiddenSize, dim, rng);
+    this.wh = xavierInit(3 * hiddenSize, hiddenSize, rng);
+    this.b = Matrix.zeros(3 * hiddenSize, 1);
+  }
+
+  get outputSize() { return this.hiddenSize; }
+
+  params() {
+    return [this.embedding, this.wx, this.wh, this.b];
+  }
+
+  // Final hidden state per column → out (hiddenSize×cols). The cache keeps
+  // every step's input token, previous state and gates for backpropagation.
+  forward(input, out = new Matrix(this.hiddenSize, input.cols)) {
+    const x = input instanceof SparseMatrix ? input : SparseMatrix.fromDense(input);
+    const H = this.hiddenSize, D = this.dim, V = this.vocabSize, n = x.cols;
+    const E = this.embedding.data, wx = this.wx.data, wh = this.wh.data, b = this.b.data;
+    const sigmoid = activations.sigmoid.fn;
+    const cache = [];
+
+    for (let j = 0; j < n; j++) {
+      let h = new Float64Array(H);
+      const steps = [];
+      for (let k = x.colPtr[j]; k < x.colPtr[j + 1]; k++) {
+        const token = x.indices[k];
+        const z = new Float64Array(H), r = new Float64Array(H), c = new Float64Array(H);
+        const rh = new Float64Array(H), next = new Float64Array(H);
+
+        // Input contribution Wx·x + b for all three gates
+        const gx = new Float64Array(3 * H);
+        for (let i = 0; i < 3 * H; i++) {
+          let s = b[i];
+          for (let d = 0; d < D; d++) s += wx[i * D + d] * E[d * V + token];
+          gx[i] = s;
+        }
+        for (let i = 0; i < H; i++) {
+          let sz = gx[i], sr = gx[H + i];
+          for (let m = 0; m < H; m++) {
+            sz += wh[i * H + m] * h[m];
+            sr += wh[(H + i) * H + m] * h[m];
+          }
+          z[i] = sigmoid(sz);
+          r[i] = sigmoid(sr);
+          rh[i] = r[i] * h[i];
+        }
+        for (let i = 0; i < H; i++) {
+          let sc = gx[2 * H + i];
+          for (let m = 0; m < H; m++) sc += wh[(2 * H + i) * H + m] * rh[m];
+          c[i] = Math.tanh(sc);
+          next[i] = (1 - z[i]) * h[i] + z[i] * c[i];
+        }
+        steps.push({ token, h, z, r, c });
+        h = next;
+      }
+      for (let i = 0; i < H; i++) out.data[i * n + j] = h[i];
+      cache.push(steps);
+    }
+    return { output: out, cache };
+  }
+
+  // Backpropagation through time from the final-state gradient `delta`
+  // (hiddenSize×cols) → gradients for params(), summed over the batch
+  backward(input, delta, cache, grads = this.params().map(p => new Matrix(p.rows, p.cols))) {
+    const H = this.hiddenSize, D = this.dim, V = this.vocabSize, n = delta.cols;
+    const E = this.embedding.data, wx = this.wx.data, wh = this.wh.data;
+    for (const g of grads) g.data.fill(0);
+    const [dE, dWx, dWh, dB] = grads.map(g => g.data);
+    const a = new Float64Array(3 * H); // pre-activation gradients [z; r; c]
+
+    for (let j = 0; j < n; j++) {
+      let dh = new Float64Array(H);
+      for (let i = 0; i < H; i++) dh[i] = delta.data[i * n + j];
+      const steps = cache[j];
+
+      for (let s = steps.length - 1; s >= 0; s--) {
+        const { token, h, z, r, c } = steps[s];
+        const dPrev = new Float64Array(H);
+        for (let i = 0; i < H; i++) {
+          a[i] = dh[i] * (c[i] - h[i]) * z[i] * (1 - z[i]);
+          a[2 * H + i] = dh[i] * z[i] * (1 - c[i] * c[i]);
+          dPrev[i] = dh[i] * (1 - z[i]);
+        }
+        // Reset gate and previous state through Uc·(r ⊙ h)
+        for (let m = 0; m < H; m++) {
+          let drh = 0;
+          for (let i = 0; i < H; i++) drh += wh[(2 * H + i) * H + m] * a[2 * H + i];
+          a[H + m] = drh * h[m] * r[m] * (1 - r[m]);
+          dPrev[m] += drh * r[m];
+        }
+        for (let i = 0; i < 3 * H; i++) {
+          dB[i] += a[i];
+          for (let d = 0; d < D; d++) dWx[i * D + d] += a[i] * E[d * V + token];
+          const gated = i >= 2 * H; // candidate rows see r ⊙ h
+          for (let m = 0; m < H; m++) dWh[i * H + m] += a[i] * (gated ? r[m] * h[m] : h[m]);
+        }
+        // Previous state through Uz and Ur; token vector through Wx
+        for (let i = 0; i < 2 * H; i++)
+          for (let m = 0; m < H; m++) dPrev[m] += wh[i * H + m] * a[i];
+        for (let d = 0; d < D; d++) {
+          let de = 0;
+          for (let i = 0; i < 3 * H; i++) de += wx[i * D + d] * a[i];
+          dE[d * V + token] += de;
+        }
+        dh = dPrev;
+      }
+    }
+    return grads;
+  }
+
+  toJSON() {
+    return {
+      dim: this.dim, hiddenSize: this.hiddenSize,
+      embedding: this.embedding.toJSON(), wx: this.wx.toJSON(), wh: this.wh.toJSON(), b: this.b.toJSON(),
+    };
+  }
+}
+
 export class Network {
-  constructor(layerSizes, hiddenActivation = 'relu') {
+  // `hiddenActivation` is one name or one per hidden layer; `embedding` or
+  // `gru` adds a front end, making layerSizes[0] the vocabulary size.
+  constructor(layerSizes, hiddenActivation = 'relu', {
+    rng = Math.random, output = 'softmax', embedding = null, gru = null,
+  } = {}) {
     this.layerSizes = layerSizes;
-    this.hiddenActivation = hiddenActivation;
+    this.hiddenActivations = Array.isArray(hiddenActivation)
+      ? [...hiddenActivation]
+      : new Array(layerSizes.length - 2).fill(hiddenActivation);
+    if (this.hiddenActivations.length !== layerSizes.length - 2)
+      throw new Error(`Expected ${layerSizes.length - 2} hidden activations, got ${this.hiddenActivations.length}`);
+    for (const name of this.hiddenActivations)
+      if (!activations[name]) throw new Error(`Unknown activation: ${name}`);
+    this.output = output;
+    this.rng = rng;
     this.weights = [];
     this.biases = [];
+    this.optimizer = null;
+    this.bestEpoch = null;
+    this.dropout = 0;       // hidden-unit drop probability while training
+    this.weightDecay = 0;   // L2 penalty coefficient on weights (not biases)
+    this.classWeights = null; // per-output-class loss weights
+    this.labelSmoothing = 0;  // target smoothing ε
+    if (embedding && gru) throw new Error('Choose either an embedding or a GRU front end');
+    this.embedding = embedding
+      ? new Embedding(layerSizes[0], embedding.dim, { pooling: embedding.pooling, rng })
+      : null;
+    this.gru = gru ? new GRU(layerSizes[0], gru.dim, gru.hiddenSize, { rng }) : null;
     for (let i = 0; i < layerSizes.length - 1; i++) {
-      this.weights.push(xavierInit(layerSizes[i + 1], layerSizes[i]));
+      const inputSize = i === 0 && this.frontEnd ? this.frontEnd.outputSize : layerSizes[i];
+      this.weights.push(xavierInit(layerSizes[i + 1], inputSize, rng));
       this.biases.push(Matrix.zeros(layerSizes[i + 1], 1));
     }
   }
 
-  forward(input) {
+  // The embedding or GRU front end, if any
+  get frontEnd() {
+    return this.embedding || this.gru;
+  }
+
+  // Forward pass. Input has one column per sample (a single column vector for
+  // one sample); `buffers` from batchBuffers() are reused instead of allocating.
+  // With `training`, inverted dropout masks hidden units (kept in `masks`).
+  // With a front end, a[0] is its output and `frontCache` what its backward needs.
+  forward(input, buffers, training = false) {
     const zs = [];   // pre-activation
-    const as = [input]; // activations (input is a[0])
+    const masks = [];
     let a = input;
-    const act = activations[this.hiddenActivation];
+    let frontCache = null;
+    if (this.frontEnd) {
+      const front = this.frontEnd.forward(input, buffers?.front);
+      a = front.output;
+      frontCache = front.cache;
+    }
+    const as = [a]; // activations (input is a[0])
 
     for (let i = 0; i < this.weights.length; i++) {
-      const z = this.weights[i].mul(a).add(this.biases[i]);
+      const z = this.weights[i].mul(a, buffers?.zs[i]);
+      z.addVec(this.biases[i], z);
       zs.push(z);
       if (i < this.weights.length - 1) {
         // Hidden layer
-        a = z.map(act.fn);
+        a = z.map(activations[this.hiddenActivations[i]].fn, buffers?.as[i]);
+        if (training && this.dropout > 0) {
+          const mask = buffers?.masks[i] || new Matrix(a.rows, a.cols);
+          const keep = 1 - this.dropout;
+          for (let k = 0; k < mask.data.length; k++)
+            mask.data[k] = this.rng() < keep ? 1 / keep : 0;
+          a.hadamard(mask, a);
+          masks[i] = mask;
+        }
+      } else if (this.output === 'sigmoid') {
+        // Output layer — independent sigmoid units
+        a = z.map(activations.sigmoid.fn, buffers?.as[i]);
       } else {
         // Output layer — softmax
-        a = softmax(z);
+        a = softmax(z, buffers?.as[i]);
       }
       as.push(a);
     }
-    return { zs, as };
+    return { zs, as, masks, frontCache };
+  }
+
+  // Loss matching the output layer (with class weights and label smoothing),
+  // summed over columns
+  loss(predicted, target) {
+    const opts = { classWeights: this.classWeights, smoothing: this.labelSmoothing };
+    return this.output === 'sigmoid'
+      ? binaryCrossEntropyLoss(predicted, target, opts)
+      : crossEntropyLoss(predicted, target, opts);
+  }
+
+  // Preallocated forward/backward storage for batches of `size` samples
+  batchBuffers(size) {
+    const outSizes = this.layerSizes.slice(1);
+    return {
+      zs: outSizes.map(n => new Matrix(n, size)),
+      as: outSizes.map(n => new Matrix(n, size)),
+      deltas: outSizes.map(n => new Matrix(n, size)),
+      masks: outSizes.map(n => new Matrix(n, size)),
+      smoothed: new Matrix(outSizes[outSizes.length - 1], size),
+      dw: this.weights.map(w => new Matrix(w.rows, w.cols)),
+      db: this.biases.map(b => new Matrix(b.rows, b.cols)),
+      ...(this.frontEnd && {
+        front: new Matrix(this.frontEnd.outputSize, size),
+        dFront: new Matrix(this.frontEnd.outputSize, size),
+        dFrontEnd: this.frontEnd.params().map(p => new Matrix(p.rows, p.cols)),
+      }),
+    };
+  }
+
+  // Trainable parameters in a stable order (optimizer state is indexed by it);
+  // front-end parameters, if any, come last
+  params() {
+    return [...this.weights, ...this.biases, ...(this.frontEnd ? this.frontEnd.params() : [])];
   }
 
   predict(input) {
@@ -203,84 +968,179 @@ export class Network {
     return as[as.length - 1];
   }
 
-  // Backpropagation — returns weight and bias gradients
-  backward(input, target) {
-    const { zs, as } = this.forward(input);
-    const act = activations[this.hiddenActivation];
+  // Backpropagation over a batch (one column per sample), with dropout —
+  // returns summed gradients, loss and output. `buffers.touched` tracks the
+  // first-layer columns sparse input wrote, so only those are cleared.
+  backward(input, target, buffers = this.batchBuffers(input.cols)) {
+    const { zs, as, masks, frontCache } = this.forward(input, buffers, true);
     const L = this.weights.length;
-    const dw = [];
-    const db = [];
+    const { dw, db, deltas } = buffers;
 
-    // Output layer delta: softmax + cross-entropy simplifies to (predicted - target)
-    let delta = as[L].sub(target);
+    // Output layer delta: softmax + cross-entropy and sigmoid + binary
+    // cross-entropy both simplify to (predicted - target), against the
+    // smoothed target and scaled by class weight: per sample for softmax,
+    // per output unit for sigmoid
+    const sigmoid = this.output === 'sigmoid';
+    const t = this.labelSmoothing > 0
+      ? smoothLabels(target, this.labelSmoothing, sigmoid ? 2 : target.rows, buffers.smoothed)
+      : target;
+    let delta = as[L].sub(t, deltas[L - 1]);
+    if (this.classWeights && sigmoid) {
+      for (let k = 0; k < delta.data.length; k++) delta.data[k] *= this.classWeights[Math.floor(k / delta.cols)];
+    } else if (this.classWeights) {
+      const weights = sampleWeights(target, this.classWeights);
+      for (let k = 0; k < delta.data.length; k++) delta.data[k] *= weights[k % delta.cols];
+    }
 
     for (let i = L - 1; i >= 0; i--) {
-      dw[i] = delta.mul(as[i].transpose());
-      db[i] = delta.clone();
+      if (i === 0 && buffers.touched && as[0] instanceof SparseMatrix) {
+        dw[0].clearCols(buffers.touched);
+        buffers.touched = as[0].activeRows();
+        delta.mulTransposed(as[0], dw[0], buffers.touched);
+      } else {
+        delta.mulTransposed(as[i], dw[i]);
+      }
+      delta.sumCols(db[i]);
 
       if (i > 0) {
         // Propagate through hidden layer
-        const dAct = zs[i - 1].map(act.dfn);
-        delta = this.weights[i].transpose().mul(delta).hadamard(dAct);
+        const next = this.weights[i].transposeMul(delta, deltas[i - 1]);
+        const z = zs[i - 1].data;
+        const { dfn } = activations[this.hiddenActivations[i - 1]];
+        for (let k = 0; k < next.data.length; k++) next.data[k] *= dfn(z[k]);
+        if (masks[i - 1]) next.hadamard(masks[i - 1], next);
+        delta = next;
+      } else if (this.frontEnd) {
+        const dFront = this.weights[0].transposeMul(delta, buffers.dFront);
+        this.frontEnd.backward(input, dFront, frontCache, buffers.dFrontEnd);
       }
     }
-    return { dw, db, loss: crossEntropyLoss(as[L], target) };
+    const dFrontEnd = this.frontEnd ? buffers.dFrontEnd : [];
+    return { dw, db, dFrontEnd, loss: this.loss(as[L], target), output: as[L] };
   }
 
-  // Stochastic gradient descent on a batch
-  train(samples, { lr = 0.01, epochs = 1, batchSize = 16, shuffle = true, onEpoch } = {}) {
+  // Mean loss and argmax accuracy over samples, without updating weights.
+  // For multi-label output, accuracy counts matches of the strongest label.
+  evaluate(samples) {
+    const input = stackColumns(samples.map(s => s.input));
+    const target = stackColumns(samples.map(s => s.target));
+    const pred = this.predict(input);
+    return {
+      loss: this.loss(pred, target) / samples.length,
+      accuracy: countCorrect(pred, target) / samples.length,
+    };
+  }
+
+  // Mini-batch training with optional validation and early stopping — returns
+  // the per-epoch history. Regularization and loss settings are saved with
+  // the network.
+  train(samples, {
+    lr, optimizer, epochs = 1, batchSize = 16, shuffle = true,
+    validation, patience = Infinity, dropout = this.dropout, weightDecay = this.weightDecay,
+    classWeights = this.classWeights, labelSmoothing = this.labelSmoothing,
+    schedule = 'constant', clipNorm = Infinity, onEpoch,
+  } = {}) {
+    if (classWeights && classWeights.length !== this.layerSizes[this.layerSizes.length - 1])
+      throw new Error(`Expected ${this.layerSizes[this.layerSizes.length - 1]} class weights, got ${classWeights.length}`);
+    if (!(dropout >= 0 && dropout < 1)) throw new Error(`Dropout must be in [0, 1), got ${dropout}`);
+    if (!(weightDecay >= 0)) throw new Error(`Weight decay must be non-negative, got ${weightDecay}`);
+    if (!(labelSmoothing >= 0 && labelSmoothing < 1))
+      throw new Error(`Label smoothing must be in [0, 1), got ${labelSmoothing}`);
+    if (!(clipNorm > 0)) throw new Error(`Clip norm must be positive, got ${clipNorm}`);
+    this.dropout = dropout;
+    this.weightDecay = weightDecay;
+    this.classWeights = classWeights ? [...classWeights] : null;
+    this.labelSmoothing = labelSmoothing;
+    if (optimizer && typeof optimizer === 'object') this.optimizer = optimizer;
+    else if (optimizer && optimizer !== this.optimizer?.type) this.optimizer = createOptimizer(optimizer);
+    else if (!this.optimizer) this.optimizer = createOptimizer('sgd');
+    if (lr !== undefined) this.optimizer.lr = lr;
+    const baseLr = this.optimizer.lr;
+    const lrFactor = typeof schedule === 'function' ? schedule : createSchedule(schedule);
+    const sparse = samples[0]?.input instanceof SparseMatrix && !this.frontEnd &&
+      this.optimizer instanceof SGD && this.weightDecay === 0;
+
     const history = [];
+    const buffers = new Map(); // batch size → preallocated buffers
+    let best = null;
+    let stale = 0;
 
     for (let epoch = 0; epoch < epochs; epoch++) {
-      let indices = Array.from({ length: samples.length }, (_, i) => i);
-      if (shuffle) {
-        for (let i = indices.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [indices[i], indices[j]] = [indices[j], indices[i]];
-        }
-      }
+      const indices = Array.from({ length: samples.length }, (_, i) => i);
+      if (shuffle) shuffleInPlace(indices, this.rng);
 
       let totalLoss = 0;
       let correct = 0;
+      let totalNorm = 0;
+      let clipped = 0;
+      let batches = 0;
+      this.optimizer.lr = baseLr * lrFactor(epoch, epochs);
 
       for (let b = 0; b < indices.length; b += batchSize) {
         const batch = indices.slice(b, b + batchSize);
-        const accDw = this.weights.map(w => Matrix.zeros(w.rows, w.cols));
-        const accDb = this.biases.map(b => Matrix.zeros(b.rows, b.cols));
-
-        for (const idx of batch) {
-          const { input, target } = samples[idx];
-          const { dw, db, loss } = this.backward(input, target);
-          totalLoss += loss;
-
-          // Check accuracy
-          const pred = this.predict(input);
-          let predMax = 0, targMax = 0;
-          for (let i = 0; i < pred.rows; i++) {
-            if (pred.data[i] > pred.data[predMax]) predMax = i;
-            if (target.data[i] > target.data[targMax]) targMax = i;
-          }
-          if (predMax === targMax) correct++;
+        const bufs = buffers.get(batch.length) || { ...this.batchBuffers(batch.length), touched: sparse ? [] : null };
+        buffers.set(batch.length, bufs);
+        bufs.input = stackColumns(batch.map(i => samples[i].input), bufs.input);
+        bufs.target = stackColumns(batch.map(i => samples[i].target), bufs.target);
+
+        const { dw, db, dFrontEnd, loss, output } = this.backward(bufs.input, bufs.target, bufs);
+        totalLoss += loss;
+        correct += countCorrect(output, bufs.target);
 
-          for (let i = 0; i < dw.length; i++) {
-            accDw[i] = accDw[i].add(dw[i]);
-            accDb[i] = accDb[i].add(db[i]);
+        // Apply batch-averaged gradients, plus the L2 penalty gradient on
+        // weights and front-end parameters other than the GRU bias
+        const grads = [...dw, ...db, ...dFrontEnd];
+        const active = sparse ? [dw[0].colEntries(bufs.touched)] : [];
+        grads.forEach((g, p) => scaleEntries(g, 1 / batch.length, active[p]));
+        if (this.weightDecay > 0) {
+          const ws = [...this.weights, ...(this.frontEnd ? this.frontEnd.params() : [])];
+          const gs = [...dw, ...dFrontEnd];
+          for (let i = 0; i < gs.length; i++) {
+            if (this.gru && ws[i] === this.gru.b) continue;
+            const w = ws[i].data, g = gs[i].data;
+            for (let k = 0; k < g.length; k++) g[k] += this.weightDecay * w[k];
           }
         }
+        const norm = clipGradNorm(grads, clipNorm, active);
+        totalNorm += norm;
+        if (norm > clipNorm) clipped++;
+        batches++;
+        this.optimizer.step(this.params(), grads, active);
+      }
 
-        // Apply gradients
-        const scale = lr / batch.length;
-        for (let i = 0; i < this.weights.length; i++) {
-          this.weights[i] = this.weights[i].sub(accDw[i].scale(scale));
-          this.biases[i] = this.biases[i].sub(accDb[i].scale(scale));
+      const entry = {
+        epoch, lr: this.optimizer.lr, loss: totalLoss / samples.length, accuracy: correct / samples.length,
+        gradNorm: totalNorm / batches,
+      };
+      if (clipNorm < Infinity) entry.clipped = clipped;
+      if (validation && validation.length > 0) {
+        const { loss: valLoss, accuracy: valAccuracy } = this.evaluate(validation);
+        entry.valLoss = valLoss;
+        entry.valAccuracy = valAccuracy;
+        if (!best || valLoss < best.valLoss) {
+          best = {
+            epoch, valLoss,
+            weights: this.weights.map(w => w.clone()),
+            biases: this.biases.map(b => b.clone()),
+            front: this.frontEnd?.params().map(p => p.clone()),
+          };
+          stale = 0;
+        } else {
+          stale++;
         }
       }
+      history.push(entry);
+      if (onEpoch) onEpoch(entry);
+      if (stale >= patience) break;
+    }
 
-      const avgLoss = totalLoss / samples.length;
-      const accuracy = correct / samples.length;
-      history.push({ epoch, loss: avgLoss, accuracy });
-      if (onEpoch) onEpoch({ epoch, loss: avgLoss, accuracy });
+    this.optimizer.lr = baseLr; // saved and resumed from the unscheduled rate
+    if (best) {
+      this.weights = best.weights;
+      this.biases = best.biases;
+      this.frontEnd?.params().forEach((p, i) => p.data.set(best.front[i].data));
     }
+    this.bestEpoch = best ? best.epoch : null;
 
     return history;
   }
@@ -288,17 +1148,36 @@ export class Network {
   save() {
     return JSON.stringify({
       layerSizes: this.layerSizes,
-      hiddenActivation: this.hiddenActivation,
+      hiddenActivations: this.hiddenActivations,
+      output: this.output,
       weights: this.weights.map(w => w.toJSON()),
       biases: this.biases.map(b => b.toJSON()),
+      embedding: this.embedding ? this.embedding.toJSON() : null,
+      gru: this.gru ? this.gru.toJSON() : null,
+      dropout: this.dropout,
+      weightDecay: this.weightDecay,
+      classWeights: this.classWeights,
+      labelSmoothing: this.labelSmoothing,
+      optimizer: this.optimizer ? this.optimizer.toJSON() : null,
     });
   }
 
   static load(json) {
     const data = typeof json === 'string' ? JSON.parse(json) : json;
-    const net = new Network(data.layerSizes, data.hiddenActivation);
+    // Older files store a single `hiddenActivation` shared by all hidden layers
+    const hidden = data.hiddenActivations || data.hiddenActivation;
+    const net = new Network(data.layerSizes, hidden, {
+      output: data.output || 'softmax', embedding: data.embedding, gru: data.gru,
+    });
     net.weights = data.weights.map(w => Matrix.fromJSON(w));
+    if (data.embedding) net.embedding.weights = Matrix.fromJSON(data.embedding.weights);
+    if (data.gru) for (const key of ['embedding', 'wx', 'wh', 'b']) net.gru[key] = Matrix.fromJSON(data.gru[key]);
     net.biases = data.biases.map(b => Matrix.fromJSON(b));
+    net.dropout = data.dropout || 0;
+    net.weightDecay = data.weightDecay || 0;
+    net.classWeights = data.classWeights || null;
+    net.labelSmoothing = data.labelSmoothing || 0;
+    if (data.optimizer) net.optimizer = createOptimizer(data.optimizer);
     return net;
   }
 }
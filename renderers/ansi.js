@@ -5,7 +5,7 @@ const WIDTH = 40;
 const HEIGHT = 24;
 const BAR_WIDTH = 20;
 
-const EMOTION_COLORS = {
+export const EMOTION_COLORS = {
   joy:      '\x1b[33m', // yellow
   anger:    '\x1b[31m', // red
   sadness:  '\x1b[34m', // blue
@@ -1,170 +1,724 @@
 // sentiment.js — Tokenizer, Vocabulary, SentimentAnalyzer
-// Bag-of-words + feed-forward NN for 6-class emotion classification
+// Bag-of-words (learned embedding or GRU sequence) + feed-forward NN for
+// 6-class emotion classification
 
 import { readFileSync, writeFileSync } from 'node:fs';
-import { Matrix, Network } from './nn.js';
+import { Matrix, Network, SparseVector, createRng, randomSeed, shuffleInPlace } from './nn.js';
 import { EMOTIONS, trainingData } from './training-data.js';
+import { encodeBinary, decodeBinary, isBinary } from './serialize.js';
+import { stem } from './stemmer.js';
 
-// Simple whitespace + punctuation tokenizer, lowercase, no stemming
-export function tokenize(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter(t => t.length > 0);
+// Words that open a negation scope, besides any "n't" contraction
+const NEGATORS = new Set(['not', 'no', 'never', 'cannot']);
+
+// Token patterns, tried in this order. ASCII emoticons must not follow a
+// letter or digit (so "http://" holds no ":/"); emoji include skin-tone and
+// variation modifiers, ZWJ sequences and flag pairs; words are Unicode
+// letters/digits with combining marks and inner apostrophes ("don't").
+const EMOTICON = String.raw`(?<![\p{L}\p{N}])(?:>:-?[(\[]|[:;=]'?-?[)\]}>(\[{<|/\\]+|[:;=]-?[DPOdpo0](?![\p{L}\p{N}])|[xX]-?D+(?![\p{L}\p{N}])|<\/?3+|\^_*\^|-_-|[tT]_[tT]|[oO]_[oO])`;
+const EMOJI = String.raw`\p{RI}\p{RI}|\p{Extended_Pictographic}(?:\p{EMod}|\uFE0F)*(?:\u200D\p{Extended_Pictographic}(?:\p{EMod}|\uFE0F)*)*`;
+const WORD = String.raw`[\p{L}\p{N}][\p{L}\p{N}\p{M}]*(?:'[\p{L}\p{M}]+)*`;
+const CLAUSE = String.raw`[.,!?;:\u2026\u3002\uFF01\uFF1F\uFF0C\uFF1B]`;
+const TOKEN_PATTERN = new RegExp(
+  `(?<emoticon>${EMOTICON})|(?<emoji>${EMOJI})|(?<word>${WORD})|(?<clause>${CLAUSE})`, 'gu');
+
+// One token per emoticon: no nose, no repeated mouth, upper-case letters
+// (":-)))" → ":)", ":d" → ":D", "<333" → "<3", "T_T" → "t_t")
+function canonicalEmoticon(e) {
+  if (/^<\/?3/.test(e)) return e.replace(/3+$/, '3');
+  if (!/^[>:;=xX]/.test(e)) return e.toLowerCase();
+  return e.replace('-', '').replace(/(.)\1+$/, '$1').toUpperCase().replace(/0$/, 'O');
+}
+
+// Unicode-aware tokenizer, no stemming. Words are NFC-normalized and
+// lowercased; contractions keep their apostrophe ("don't"). Emoji (minus
+// skin-tone and variation selectors) and canonical ASCII emoticons are tokens
+// of their own; other punctuation separates words. With `negation`, words
+// after a negator up to the next clause punctuation (. , ! ? ; : …) are
+// marked as negated features: "not happy." → ['not', 'not_happy']. Emoji
+// and emoticons are never marked.
+export function tokenize(text, { negation = true } = {}) {
+  const tokens = [];
+  let negated = false;
+  const normalized = text.normalize('NFC').replace(/[\u2018\u2019]/g, "'");
+  for (const { groups } of normalized.matchAll(TOKEN_PATTERN)) {
+    if (groups.clause) {
+      negated = false;
+    } else if (groups.emoticon) {
+      tokens.push(canonicalEmoticon(groups.emoticon));
+    } else if (groups.emoji) {
+      tokens.push(groups.emoji.replace(/\p{EMod}|\uFE0F/gu, ''));
+    } else {
+      const word = groups.word.toLowerCase();
+      tokens.push(negated ? `not_${word}` : word);
+      if (negation && (NEGATORS.has(word) || word.endsWith("n't"))) negated = true;
+    }
+  }
+  return tokens;
+}
+
+// The tokenizer vocabularies saved before negation scopes were built with:
+// lowercase ASCII letters and digits, split on anything else ("can't" → can, t)
+function asciiTokenize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(t => t.length > 0);
+}
+
+// Space-joined n-grams of `tokens` for every n in [min, max]
+export function ngrams(tokens, [min, max] = [1, 1]) {
+  const out = [];
+  for (let n = min; n <= max; n++)
+    for (let i = 0; i + n <= tokens.length; i++) out.push(tokens.slice(i, i + n).join(' '));
+  return out;
+}
+
+// Common English function words, left out of the vocabulary with the
+// `stopwords` option. Negators are deliberately absent.
+export const STOPWORDS = [
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'so', 'than', 'as', 'of', 'at', 'by', 'for',
+  'with', 'about', 'to', 'from', 'in', 'on', 'into', 'onto', 'over', 'under', 'up', 'down', 'out',
+  'off', 'again', 'i', 'me', 'my', 'myself', 'we', 'us', 'our', 'you', 'your', 'he', 'him', 'his',
+  'she', 'her', 'it', 'its', 'they', 'them', 'their', 'this', 'that', 'these', 'those', 'what',
+  'which', 'who', 'whom', 'is', 'am', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has',
+  'had', 'do', 'does', 'did', 'will', 'would', 'shall', 'should', 'can', 'could', 'may', 'might',
+  'must', 'just', 'there', 'here', 'when', 'where', 'why', 'how', 'all', 'any', 'each', 'some',
+  'such', 'own', 'same', 'too', 'very', 'also', "i'm", "i've", "i'll", "i'd", "it's", "that's",
+];
+
+// Words that amplify what follows ("so happy", "extremely angry")
+export const INTENSIFIERS = new Set([
+  'so', 'very', 'really', 'extremely', 'incredibly', 'totally', 'absolutely', 'completely',
+  'utterly', 'super', 'too', 'such', 'truly', 'seriously', 'insanely', 'terribly', 'awfully',
+]);
+
+// Cue features added by a Vocabulary with `cues`, one per occurrence
+export const CUE_FEATURES = ['<exclaim>', '<caps>', '<intensifier>'];
+
+// Intensity cues that tokenize drops: exclamation marks, ALL-CAPS words (two
+// or more letters, "XD" aside) and intensifiers outside a negation scope,
+// each counted up to 3. `intensity` is 1 for plain text and rises by 1/9 per
+// cue, to 2 with all three maxed out.
+export function intensityCues(text) {
+  const exclamations = Math.min(3, (text.match(/[!\uFF01]/g) || []).length);
+  const capsWords = text.match(/(?<![\p{L}\p{N}])\p{Lu}{2,}(?![\p{L}\p{N}])/gu) || [];
+  const caps = Math.min(3, capsWords.filter(w => !/^XD+$/.test(w)).length);
+  const intensifiers = Math.min(3, tokenize(text).filter(t => INTENSIFIERS.has(t)).length);
+  return { exclamations, caps, intensifiers, intensity: 1 + (exclamations + caps + intensifiers) / 9 };
+}
+
+function cueFeatures(text) {
+  const cues = intensityCues(text);
+  return [cues.exclamations, cues.caps, cues.intensifiers].flatMap((n, i) => new Array(n).fill(CUE_FEATURES[i]));
 }
 
+// How Vocabulary.encodeSparse values each present feature, from its count in
+// the text and its inverse document frequency
+export const ENCODINGS = ['binary', 'counts', 'tfidf', 'log'];
+
 export class Vocabulary {
-  constructor(maxSize = 500) {
+  // Features are `ngrams` ([min, max]) seen `minFreq` times in build(), plus
+  // intensity CUE_FEATURES with `cues`; options are saved with the vocabulary.
+  constructor(maxSize = 500, {
+    negation = true, ngrams = [1, 1], minFreq = 1, encoding = 'binary', stopwords = null, cues = true,
+    stem = false, tokenizer = 'unicode',
+  } = {}) {
+    if (!(ngrams[0] >= 1 && ngrams[1] >= ngrams[0])) throw new Error(`Invalid n-gram range: ${ngrams.join('-')}`);
+    if (tokenizer !== 'unicode' && tokenizer !== 'ascii') throw new Error(`Unknown tokenizer: ${tokenizer}`);
+    if (!ENCODINGS.includes(encoding)) throw new Error(`Unknown encoding: ${encoding}`);
     this.maxSize = maxSize;
+    this.negation = negation;
+    this.ngrams = [...ngrams];
+    this.minFreq = minFreq;
+    this.encoding = encoding;
+    this.stopwords = stopwords === true ? [...STOPWORDS] : stopwords ? [...stopwords] : null;
+    this.cues = cues;
+    this.stem = stem;
+    this.tokenizer = tokenizer;
     this.word2idx = new Map();
     this.idx2word = [];
+    this.idf = [];
+  }
+
+  // True if every word of a feature (ignoring a negation mark) is a stopword
+  // (stemmed too, when words are)
+  isStopword(feature) {
+    if (!this.stopwords) return false;
+    const stop = this.stopwordSet ||= new Set(this.stem ? this.stopwords.map(stem) : this.stopwords);
+    return feature.split(' ').every(w => stop.has(w.replace(/^not_/, '')));
+  }
+
+  // Tokens of a text, stemmed (keeping any negation mark) with `stem`
+  tokenize(text) {
+    const tokens = this.tokenizer === 'ascii' ? asciiTokenize(text) : tokenize(text, { negation: this.negation });
+    return this.stem ? tokens.map(t => (t.startsWith('not_') ? `not_${stem(t.slice(4))}` : stem(t))) : tokens;
+  }
+
+  // N-gram features of a text, in order of appearance, then its cue features
+  features(text) {
+    const features = ngrams(this.tokenize(text), this.ngrams);
+    return this.cues ? features.concat(cueFeatures(text)) : features;
   }
 
   build(texts) {
     const freq = new Map();
+    const docFreq = new Map(); // number of texts containing each feature
     for (const text of texts) {
-      for (const token of tokenize(text)) {
-        freq.set(token, (freq.get(token) || 0) + 1);
+      const features = this.features(text);
+      for (const feature of features) {
+        freq.set(feature, (freq.get(feature) || 0) + 1);
       }
+      for (const feature of new Set(features)) docFreq.set(feature, (docFreq.get(feature) || 0) + 1);
     }
-    // Sort by frequency descending, take top N
-    const sorted = [...freq.entries()].sort((a, b) => b[1] - a[1]);
-    this.idx2word = sorted.slice(0, this.maxSize).map(([w]) => w);
+    // Drop rare features and stopwords, sort by frequency descending, take top
+    // N after the reserved cue features
+    const reserved = this.cues ? CUE_FEATURES : [];
+    const sorted = [...freq.entries()]
+      .filter(([w, f]) => f >= this.minFreq && !this.isStopword(w) && !reserved.includes(w))
+      .sort((a, b) => b[1] - a[1]);
+    this.idx2word = [...reserved, ...sorted.slice(0, this.maxSize - reserved.length).map(([w]) => w)];
     this.word2idx = new Map(this.idx2word.map((w, i) => [w, i]));
+    // Smoothed IDF: ln((1 + N) / (1 + df)) + 1
+    this.idf = this.idx2word.map(w => Math.log((1 + texts.length) / (1 + (docFreq.get(w) || 0))) + 1);
     return this;
   }
 
   get size() { return this.idx2word.length; }
 
-  // Bag-of-words encoding → column vector
-  encode(text) {
-    const tokens = tokenize(text);
-    const vec = Matrix.zeros(this.size, 1);
-    for (const t of tokens) {
+  // Fraction of a text's features that the encoding keeps (0 with none): its
+  // n-grams, or with `sequence` its tokens (see encodeSequence). Stopword
+  // features, which build() leaves out on purpose, don't count, nor do cue
+  // features, which are always known.
+  coverage(text, { sequence = false } = {}) {
+    const tokens = this.tokenize(text);
+    const features = (sequence ? tokens : ngrams(tokens, this.ngrams)).filter(f => !this.isStopword(f));
+    const known = features.filter(f => this.word2idx.has(f));
+    return features.length > 0 ? known.length / features.length : 0;
+  }
+
+  // Bag-of-words encoding → sparse column vector of present feature indices,
+  // valued by `encoding`: binary 1, raw counts, count·IDF (L2-normalized per
+  // text) or 1 + ln(count)
+  encodeSparse(text) {
+    const counts = new Map();
+    for (const t of this.features(text)) {
+      const idx = this.word2idx.get(t);
+      if (idx !== undefined) counts.set(idx, (counts.get(idx) || 0) + 1);
+    }
+    const indices = [...counts.keys()].sort((a, b) => a - b);
+    if (this.encoding === 'binary') return new SparseVector(this.size, indices);
+
+    let values = indices.map(i => counts.get(i));
+    if (this.encoding === 'log') values = values.map(c => 1 + Math.log(c));
+    if (this.encoding === 'tfidf') {
+      values = values.map((c, k) => c * this.idf[indices[k]]);
+      const norm = Math.hypot(...values);
+      if (norm > 0) values = values.map(v => v / norm);
+    }
+    return new SparseVector(this.size, indices, values);
+  }
+
+  // Known tokens in text order (repeats kept), then cue features → sparse
+  // column whose indices are read as a sequence by a GRU front end
+  encodeSequence(text) {
+    const indices = [];
+    for (const t of this.cues ? this.tokenize(text).concat(cueFeatures(text)) : this.tokenize(text)) {
       const idx = this.word2idx.get(t);
-      if (idx !== undefined) vec.data[idx] = 1;
+      if (idx !== undefined) indices.push(idx);
     }
-    return vec;
+    return new SparseVector(this.size, indices);
+  }
+
+  // Bag-of-words encoding → dense column vector
+  encode(text) {
+    return this.encodeSparse(text).toDense();
   }
 
   toJSON() {
-    return { maxSize: this.maxSize, words: this.idx2word };
+    return {
+      maxSize: this.maxSize, negation: this.negation, ngrams: this.ngrams, minFreq: this.minFreq,
+      encoding: this.encoding, stopwords: this.stopwords, cues: this.cues, stem: this.stem,
+      tokenizer: this.tokenizer, words: this.idx2word, idf: this.idf,
+    };
   }
 
+  // Vocabularies saved before negation handling load with it off and keep
+  // the ASCII tokenizer they were built with, so "can't" still splits into
+  // the can/t features they know; those saved before n-grams are
+  // unigram-only and binary-encoded, and those saved before cue features
+  // have none
   static fromJSON(json) {
-    const v = new Vocabulary(json.maxSize);
+    const v = new Vocabulary(json.maxSize, {
+      negation: json.negation ?? false, ngrams: json.ngrams || [1, 1], minFreq: json.minFreq ?? 1,
+      encoding: json.encoding || 'binary', stopwords: json.stopwords || null, cues: json.cues ?? false,
+      stem: json.stem ?? false, tokenizer: json.tokenizer ?? (json.negation === undefined ? 'ascii' : 'unicode'),
+    });
     v.idx2word = json.words;
     v.word2idx = new Map(json.words.map((w, i) => [w, i]));
+    v.idf = json.idf || [];
     return v;
   }
 }
 
+// Read labeled { text, emotion } examples from a JSON array or NDJSON file
+export function readLabeledData(path) {
+  const raw = readFileSync(path, 'utf-8').trim();
+  const data = raw.startsWith('[')
+    ? JSON.parse(raw)
+    : raw.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+  for (const d of data) {
+    const extra = [...(d.emotions || []), ...Object.keys(d.labels || {})];
+    if (typeof d.text !== 'string' || !EMOTIONS.includes(d.emotion) || !extra.every(e => EMOTIONS.includes(e)))
+      throw new Error(`Invalid labeled example in ${path}: ${JSON.stringify(d)}`);
+  }
+  return data;
+}
+
+// Metrics from a confusion matrix (rows = actual, cols = predicted):
+// accuracy, per-label precision/recall/F1/support, macro and micro averages
+export function classificationReport(confusion, labels) {
+  const f1 = (p, r) => (p + r > 0 ? (2 * p * r) / (p + r) : 0);
+  const perClass = {};
+  let total = 0, correct = 0;
+  const macro = { precision: 0, recall: 0, f1: 0 };
+
+  for (let i = 0; i < labels.length; i++) {
+    const tp = confusion[i][i];
+    let actual = 0, predicted = 0;
+    for (let j = 0; j < labels.length; j++) {
+      actual += confusion[i][j];
+      predicted += confusion[j][i];
+    }
+    const precision = predicted > 0 ? tp / predicted : 0;
+    const recall = actual > 0 ? tp / actual : 0;
+    perClass[labels[i]] = { precision, recall, f1: f1(precision, recall), support: actual };
+    macro.precision += precision / labels.length;
+    macro.recall += recall / labels.length;
+    macro.f1 += perClass[labels[i]].f1 / labels.length;
+    total += actual;
+    correct += tp;
+  }
+
+  // Single-label: every miss is one false positive and one false negative,
+  // so micro precision, recall and F1 all equal accuracy
+  const accuracy = total > 0 ? correct / total : 0;
+  const micro = { precision: accuracy, recall: accuracy, f1: accuracy };
+
+  return { accuracy, correct, total, labels, confusion, perClass, macro, micro };
+}
+
+// Learning rates that suit the default architecture for each optimizer
+export const DEFAULT_LR = { sgd: 0.05, momentum: 0.01, rmsprop: 0.002, adam: 0.005 };
+
+// Split labeled examples into train/validation sets, taking `ratio` of each
+// emotion's examples for validation so class balance is preserved
+export function stratifiedSplit(data, ratio, rng = Math.random) {
+  const train = [];
+  const validation = [];
+  const byEmotion = new Map();
+  for (const d of data) {
+    if (!byEmotion.has(d.emotion)) byEmotion.set(d.emotion, []);
+    byEmotion.get(d.emotion).push(d);
+  }
+  for (const group of byEmotion.values()) {
+    const shuffled = shuffleInPlace([...group], rng);
+    const n = Math.round(shuffled.length * ratio);
+    validation.push(...shuffled.slice(0, n));
+    train.push(...shuffled.slice(n));
+  }
+  return { train, validation };
+}
+
+// Sliding-window weightings — each factory returns ({ age, size, elapsed }) →
+// weight of a line `age` lines older than the newest (age 0) in a window of
+// `size` lines, pushed `elapsed` ms before it
+export const windowWeightings = {
+  uniform: () => () => 1,
+  // Each line counts `decay` times as much as the next newer one
+  exp: ({ decay = 0.5 } = {}) => ({ age }) => decay ** age,
+  // Newest line weighs `size`, the oldest 1
+  linear: () => ({ age, size }) => size - age,
+  // Weight halves every `halfLife` ms of wall-clock age
+  time: ({ halfLife = 30000 } = {}) => ({ elapsed }) => 0.5 ** (elapsed / halfLife),
+};
+
+// Create a window weighting from a name or { type, ...options }
+export function createWindowWeighting(spec = 'uniform') {
+  const { type = 'uniform', ...config } = typeof spec === 'string' ? { type: spec } : spec;
+  const make = windowWeightings[type];
+  if (!make) throw new Error(`Unknown window weighting: ${type}`);
+  return make(config);
+}
+
+// Entropy of scores (rescaled to a distribution) over ln(count): 0 when one
+// emotion takes everything, 1 when all are equal
+function normalizedEntropy(values) {
+  const sum = values.reduce((a, b) => a + b, 0);
+  if (!(sum > 0)) return 1;
+  let h = 0;
+  for (const v of values) if (v > 0) h -= (v / sum) * Math.log(v / sum);
+  return h / Math.log(values.length);
+}
+
+const SIGNALS = ['intensity', 'coverage', 'entropy', 'confidence', 'disagreement'];
+
+// Attach the signals every analyzer's analyze() reports, under `signals`
+// next to the emotion scores: `intensity`, `coverage` and ensemble
+// `disagreement` as given, the normalized `entropy` of the scores and
+// `confidence` = coverage · (1 − entropy)
+export function withConfidence(scores, { intensity, coverage, disagreement = 0 }) {
+  const entropy = normalizedEntropy(Object.values(scores));
+  scores.signals = { intensity, coverage, entropy, confidence: coverage * (1 - entropy), disagreement };
+  return scores;
+}
+
+// Sliding-window push shared by every analyzer: adds the line, with its
+// scores from analyzer.analyze and its `time` (ms, for 'time' weighting), to
+// analyzer.window and returns the window's weighted average scores and
+// signals. The analyzer supplies emotions, windowSize, windowWeighting,
+// minConfidence and confidenceWeighted (see SentimentAnalyzer). If every
+// line is under minConfidence, all scores and the confidence are 0.
+export function pushWindow(analyzer, text, { time = Date.now() } = {}) {
+  const { window, emotions } = analyzer;
+  window.push({ text, time, scores: analyzer.analyze(text) });
+  while (window.length > analyzer.windowSize) window.shift();
+
+  const weigh = createWindowWeighting(analyzer.windowWeighting);
+  const combined = {};
+  for (const e of emotions) combined[e] = 0;
+  const signals = Object.fromEntries(SIGNALS.map(s => [s, 0]));
+  let total = 0;
+
+  window.forEach((line, i) => {
+    const { confidence } = line.scores.signals;
+    if (confidence < analyzer.minConfidence) return;
+    const recency = weigh({ age: window.length - 1 - i, size: window.length, elapsed: time - line.time });
+    const w = recency * (analyzer.confidenceWeighted ? confidence : 1);
+    for (const e of emotions) combined[e] += w * line.scores[e];
+    for (const s of SIGNALS) signals[s] += w * line.scores.signals[s];
+    total += w;
+  });
+  if (total === 0) {
+    combined.signals = { intensity: 1, coverage: 0, entropy: 1, confidence: 0, disagreement: 0 };
+    return combined;
+  }
+  for (const e of emotions) combined[e] /= total;
+  for (const s of SIGNALS) signals[s] /= total;
+  combined.signals = signals;
+  return combined;
+}
+
 export class SentimentAnalyzer {
-  constructor({ vocabSize = 500, hiddenSize = 32, windowSize = 5 } = {}) {
+  // Options configure the network, the Vocabulary and push()'s sliding
+  // window; all are saved with the weights.
+  constructor({
+    vocabSize = 500, hiddenSize = 32, hiddenLayers, windowSize = 5, multiLabel = false, embedding = null,
+    model = 'bow', gru = {}, negation = true, ngrams = [1, 1], minFreq = 1, encoding = 'binary', stopwords = null,
+    cues = true, stem = false, windowWeighting = 'uniform', minConfidence = 0, confidenceWeighted = false,
+    ensemble = 1, bootstrap = false,
+  } = {}) {
+    if (model !== 'bow' && model !== 'gru') throw new Error(`Unknown model: ${model}`);
+    if (!(Number.isInteger(ensemble) && ensemble >= 1)) throw new Error(`Ensemble size must be a positive integer, got ${ensemble}`);
+    if (model === 'gru' && embedding) throw new Error('The GRU model has its own embedding; drop `embedding`');
+    createWindowWeighting(windowWeighting);
     this.vocabSize = vocabSize;
     this.hiddenSize = hiddenSize;
+    this.hiddenLayers = hiddenLayers || [{ size: hiddenSize, activation: 'relu' }];
     this.windowSize = windowSize;
+    this.windowWeighting = windowWeighting;
+    this.minConfidence = minConfidence;
+    this.confidenceWeighted = confidenceWeighted;
+    this.multiLabel = multiLabel;
+    this.embedding = embedding && { dim: embedding.dim, pooling: embedding.pooling || 'mean' };
+    this.model = model;
+    this.gru = model === 'gru' ? { dim: gru.dim || 32, hiddenSize: gru.hiddenSize || 32 } : null;
+    this.negation = negation;
+    this.ngrams = ngrams;
+    this.minFreq = minFreq;
+    this.encoding = encoding;
+    this.stopwords = stopwords;
+    this.cues = cues;
+    this.stem = stem;
+    this.ensemble = ensemble;
+    this.bootstrap = bootstrap;
     this.vocab = null;
-    this.network = null;
+    this.networks = [];
     this.window = [];
     this.emotions = EMOTIONS;
+    this.validationData = [];
+    this.seed = null;
   }
 
-  // Build vocabulary and prepare training samples
-  prepare() {
-    this.vocab = new Vocabulary(this.vocabSize);
-    this.vocab.build(trainingData.map(d => d.text));
+  // Target vector for a labeled example, from `labels` (per-emotion weights),
+  // `emotions` (several labels) or the single `emotion`. Softmax models get a
+  // distribution summing to 1; multi-label models keep independent 0–1 targets.
+  target(d) {
+    const target = Matrix.zeros(this.emotions.length, 1);
+    if (d.labels) {
+      for (const [e, v] of Object.entries(d.labels)) target.data[this.emotions.indexOf(e)] = v;
+    } else {
+      for (const e of d.emotions || [d.emotion]) target.data[this.emotions.indexOf(e)] = 1;
+    }
+    if (!this.multiLabel) {
+      const sum = target.data.reduce((a, b) => a + b, 0);
+      if (sum > 0) target.scale(1 / sum, target);
+    }
+    return target;
+  }
 
-    const samples = trainingData.map(d => {
-      const input = this.vocab.encode(d.text);
-      const target = Matrix.zeros(this.emotions.length, 1);
-      target.data[this.emotions.indexOf(d.emotion)] = 1;
-      return { input, target };
-    });
+  // The first (for a single model, the only) network of the ensemble
+  get network() {
+    return this.networks[0] ?? null;
+  }
+
+  set network(net) {
+    this.networks[0] = net;
+  }
 
-    this.network = new Network(
-      [this.vocab.size, this.hiddenSize, this.emotions.length],
-      'relu'
-    );
+  // Network input for a text: a token sequence for the GRU model, otherwise
+  // the sparse bag-of-words
+  encodeInput(text) {
+    return this.model === 'gru' ? this.vocab.encodeSequence(text) : this.vocab.encodeSparse(text);
+  }
+
+  // Per-emotion loss weights from an array, an { emotion: weight } object
+  // (unlisted emotions weigh 1) or 'auto': inverse label frequency in `data`,
+  // total / (emotions · count), so every emotion carries equal total weight
+  classWeights(spec, data) {
+    if (Array.isArray(spec)) return spec;
+    if (spec === 'auto') {
+      const counts = new Float64Array(this.emotions.length);
+      for (const d of data) this.target(d).data.forEach((v, i) => { counts[i] += v; });
+      const total = counts.reduce((a, b) => a + b, 0);
+      return Array.from(counts, c => (c > 0 ? total / (this.emotions.length * c) : 1));
+    }
+    for (const e of Object.keys(spec))
+      if (!this.emotions.includes(e)) throw new Error(`Unknown emotion in class weights: ${e}`);
+    return this.emotions.map(e => spec[e] ?? 1);
+  }
+
+  // Encode labeled examples as { input, target } network samples
+  encodeSamples(data) {
+    return data.map(d => ({ input: this.encodeInput(d.text), target: this.target(d) }));
+  }
+
+  // Build vocabulary and one network per ensemble member (seeded from `rngs`,
+  // one per member), and prepare training samples. With `resume`, an already
+  // loaded vocabulary and networks (including optimizer state) are kept.
+  prepare({ resume = false, data = trainingData, rng = Math.random, rngs = [rng] } = {}) {
+    const fresh = !resume || !this.network || !this.vocab;
+    if (fresh) {
+      this.vocab = new Vocabulary(this.vocabSize, {
+        negation: this.negation, ngrams: this.ngrams, minFreq: this.minFreq,
+        encoding: this.encoding, stopwords: this.stopwords, cues: this.cues, stem: this.stem,
+      });
+      this.vocab.build(data.map(d => d.text));
+    }
+
+    const samples = this.encodeSamples(data);
+
+    if (fresh) {
+      this.networks = rngs.map(rng => new Network(
+        [this.vocab.size, ...this.hiddenLayers.map(l => l.size), this.emotions.length],
+        this.hiddenLayers.map(l => l.activation),
+        { rng, output: this.multiLabel ? 'sigmoid' : 'softmax', embedding: this.embedding, gru: this.gru }
+      ));
+    } else {
+      this.networks.forEach((net, k) => { net.rng = rngs[k]; });
+    }
 
     return samples;
   }
 
-  train({ epochs = 100, lr = 0.05, batchSize = 16, onEpoch } = {}) {
-    const samples = this.prepare();
-    return this.network.train(samples, { epochs, lr, batchSize, onEpoch });
+  // Train on trainingData, holding out `validationSplit` of each emotion, from
+  // `seed` (member k of an ensemble from seed + k) — returns the first
+  // member's history.
+  train({
+    epochs = 100, lr, optimizer, batchSize = 16, resume = false,
+    validationSplit = 0, patience = Infinity, seed = this.seed ?? randomSeed(),
+    dropout, weightDecay, classWeights, labelSmoothing, schedule, clipNorm, onEpoch,
+  } = {}) {
+    if (!(validationSplit >= 0 && validationSplit < 1))
+      throw new Error(`Validation split must be in [0, 1), got ${validationSplit}`);
+    if (!(patience === Infinity || (Number.isInteger(patience) && patience > 0)))
+      throw new Error(`Patience must be a positive integer, got ${patience}`);
+    this.seed = seed;
+    this.window = []; // cached window scores go stale once the network changes
+    const rng = createRng(seed);
+    const { train, validation } = validationSplit > 0
+      ? stratifiedSplit(trainingData, validationSplit, rng)
+      : { train: trainingData, validation: [] };
+    if (train.length === 0) throw new Error('Validation split leaves no training examples');
+    this.validationData = validation;
+
+    const rngs = [rng, ...Array.from({ length: this.ensemble - 1 }, (_, k) => createRng(seed + k + 1))];
+    const samples = this.prepare({ resume, data: train, rngs });
+    const type = optimizer || this.network.optimizer?.type || 'sgd';
+    if (lr === undefined && this.network.optimizer?.type !== type) lr = DEFAULT_LR[type];
+    const weights = classWeights && this.classWeights(classWeights, train);
+    const encodedValidation = this.encodeSamples(validation);
+    const histories = this.networks.map((net, k) => net.train(
+      this.bootstrap ? Array.from(samples, () => samples[Math.floor(rngs[k]() * samples.length)]) : samples, {
+        epochs, lr, optimizer: type, batchSize,
+        onEpoch: onEpoch && (info => onEpoch({ ...info, member: k })),
+        validation: encodedValidation,
+        patience,
+        dropout,
+        weightDecay,
+        classWeights: weights,
+        labelSmoothing,
+        schedule,
+        clipNorm,
+      }));
+    return histories[0];
+  }
+
+  // Average the ensemble's outputs for an encoded input. `disagreement` is
+  // the members' mean largest deviation from that average over the emotions:
+  // 0 for a single network or a unanimous ensemble, at most 1.
+  predict(input) {
+    const outputs = this.networks.map(net => net.predict(input).data);
+    const data = this.emotions.map((_, i) => outputs.reduce((sum, o) => sum + o[i], 0) / outputs.length);
+    const disagreement = outputs.reduce(
+      (sum, o) => sum + Math.max(...o.map((v, i) => Math.abs(v - data[i]))), 0) / outputs.length;
+    return { data, disagreement };
   }
 
-  // Analyze a single text → emotion scores object
+  // Analyze a single text → emotion scores object, plus `signals` (see
+  // withConfidence)
   analyze(text) {
     if (!this.network || !this.vocab) throw new Error('Model not trained or loaded');
-    const input = this.vocab.encode(text);
-    const output = this.network.predict(input);
+    const output = this.predict(this.encodeInput(text));
     const scores = {};
     for (let i = 0; i < this.emotions.length; i++) {
       scores[this.emotions[i]] = output.data[i];
     }
-    return scores;
+    return withConfidence(scores, {
+      intensity: intensityCues(text).intensity,
+      coverage: this.vocab.coverage(text, { sequence: this.model === 'gru' }),
+      disagreement: output.disagreement,
+    });
   }
 
-  // Push a line into the sliding window, return blended scores
-  push(text) {
-    this.window.push(text);
-    if (this.window.length > this.windowSize) this.window.shift();
-
-    // Analyze each line in window and average
-    const combined = {};
-    for (const e of this.emotions) combined[e] = 0;
-
-    for (const line of this.window) {
-      const scores = this.analyze(line);
-      for (const e of this.emotions) combined[e] += scores[e];
+  // Per-token attribution by occlusion: for each known feature of the encoded
+  // text (a vocabulary feature for bag-of-words, a token position for the
+  // GRU), how much each emotion's score drops when that feature is left out.
+  // Returns { scores, tokens: [{ token, contributions: { emotion: Δ } }] }
+  // with tokens in text order.
+  explain(text) {
+    const scores = this.analyze(text);
+    const input = this.encodeInput(text);
+    const tokens = [];
+    for (let k = 0; k < input.indices.length; k++) {
+      const keep = (_, j) => j !== k;
+      const occluded = new SparseVector(input.rows, input.indices.filter(keep), input.values.filter(keep));
+      const output = this.predict(occluded);
+      const contributions = {};
+      this.emotions.forEach((e, i) => { contributions[e] = scores[e] - output.data[i]; });
+      tokens.push({ token: this.vocab.idx2word[input.indices[k]], contributions });
     }
-    for (const e of this.emotions) combined[e] /= this.window.length;
-    return combined;
+    // Bag-of-words indices are sorted by vocabulary index, not position
+    if (this.model !== 'gru') {
+      const position = new Map();
+      this.vocab.features(text).forEach((f, i) => { if (!position.has(f)) position.set(f, i); });
+      tokens.sort((a, b) => position.get(a.token) - position.get(b.token));
+    }
+    return { scores, tokens };
+  }
+
+  // Push a line into the sliding window (see pushWindow), return the window's
+  // weighted average scores and signals. Each line is analyzed once, when
+  // pushed, and its scores cached in the window.
+  push(text, options) {
+    return pushWindow(this, text, options);
   }
 
   // Get dominant emotion from scores
   dominant(scores) {
     let best = null, bestVal = -1;
-    for (const [k, v] of Object.entries(scores)) {
-      if (v > bestVal) { best = k; bestVal = v; }
+    for (const e of this.emotions) {
+      if (scores[e] > bestVal) { best = e; bestVal = scores[e]; }
     }
     return best;
   }
 
-  save(path) {
-    const data = {
+  toJSON() {
+    return {
       vocabSize: this.vocabSize,
       hiddenSize: this.hiddenSize,
+      hiddenLayers: this.hiddenLayers,
       windowSize: this.windowSize,
+      windowWeighting: this.windowWeighting,
+      minConfidence: this.minConfidence,
+      confidenceWeighted: this.confidenceWeighted,
+      multiLabel: this.multiLabel,
+      embedding: this.embedding,
+      model: this.model,
+      gru: this.gru,
+      seed: this.seed,
+      bootstrap: this.bootstrap,
       vocab: this.vocab.toJSON(),
       network: JSON.parse(this.network.save()),
+      members: this.networks.slice(1).map(net => JSON.parse(net.save())),
+      validation: this.validationData,
     };
-    writeFileSync(path, JSON.stringify(data));
   }
 
-  static load(path) {
-    const data = JSON.parse(readFileSync(path, 'utf-8'));
+  static fromJSON(data) {
     const sa = new SentimentAnalyzer({
       vocabSize: data.vocabSize,
       hiddenSize: data.hiddenSize,
+      hiddenLayers: data.hiddenLayers,
       windowSize: data.windowSize,
+      windowWeighting: data.windowWeighting || 'uniform',
+      minConfidence: data.minConfidence ?? 0,
+      confidenceWeighted: data.confidenceWeighted || false,
+      multiLabel: data.multiLabel || false,
+      embedding: data.embedding || null,
+      model: data.model || 'bow',
+      gru: data.gru || {},
+      ensemble: 1 + (data.members?.length ?? 0),
+      bootstrap: data.bootstrap || false,
     });
     sa.vocab = Vocabulary.fromJSON(data.vocab);
-    sa.network = Network.load(data.network);
+    sa.negation = sa.vocab.negation;
+    sa.ngrams = sa.vocab.ngrams;
+    sa.minFreq = sa.vocab.minFreq;
+    sa.encoding = sa.vocab.encoding;
+    sa.stopwords = sa.vocab.stopwords;
+    sa.cues = sa.vocab.cues;
+    sa.stem = sa.vocab.stem;
+    sa.networks = [data.network, ...data.members || []].map(net => Network.load(net));
+    sa.validationData = data.validation || [];
+    sa.seed = data.seed ?? null;
     return sa;
   }
 
-  // Evaluate accuracy on training data (or provided test set)
+  // Save as JSON, or in the binary format (Float32, or int8 with `quantize`).
+  // The format defaults to binary for `.bin` paths and quantized saves; JSON
+  // can't hold int8 tensors, so quantizing to JSON throws.
+  save(path, { quantize = false, format = quantize || path.endsWith('.bin') ? 'binary' : 'json' } = {}) {
+    if (quantize && format !== 'binary') throw new Error('Quantized weights need the binary format');
+    if (format === 'binary') writeFileSync(path, encodeBinary(this.toJSON(), { quantize }));
+    else writeFileSync(path, JSON.stringify(this.toJSON()));
+  }
+
+  // Load a JSON or binary weights file, detected from its contents
+  static load(path) {
+    const buffer = readFileSync(path);
+    const data = isBinary(buffer) ? decodeBinary(buffer) : JSON.parse(buffer.toString('utf-8'));
+    return SentimentAnalyzer.fromJSON(data);
+  }
+
+  // Evaluate on a labeled set — by default the held-out validation split when
+  // the model has one, otherwise the training data. Returns accuracy plus the
+  // confusion matrix and per-emotion metrics from classificationReport.
   evaluate(testData) {
-    const data = testData || trainingData;
-    let correct = 0;
+    const data = testData || (this.validationData.length > 0 ? this.validationData : trainingData);
+    const n = this.emotions.length;
+    const confusion = Array.from({ length: n }, () => new Array(n).fill(0));
     for (const d of data) {
-      const scores = this.analyze(d.text);
-      if (this.dominant(scores) === d.emotion) correct++;
+      const predicted = this.dominant(this.analyze(d.text));
+      confusion[this.emotions.indexOf(d.emotion)][this.emotions.indexOf(predicted)]++;
     }
-    return { accuracy: correct / data.length, correct, total: data.length };
+    return classificationReport(confusion, this.emotions);
   }
 }
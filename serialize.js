@@ -0,0 +1,101 @@
+// serialize.js — Compact binary weight format
+// Layout: "AFW1" magic | uint32 header length | JSON header | tensor blobs
+// Numeric arrays in the model object become Float32 tensors; with `quantize`,
+// Matrix data (weights and biases) is stored as int8 with a per-tensor scale.
+
+const MAGIC = 'AFW1';
+const MIN_TENSOR_LENGTH = 16; // shorter numeric arrays stay in the JSON header
+
+const align4 = n => (n + 3) & ~3;
+
+function isTensor(value) {
+  return Array.isArray(value) && value.length >= MIN_TENSOR_LENGTH && value.every(v => typeof v === 'number');
+}
+
+// True if the buffer starts with the binary format's magic bytes
+export function isBinary(buffer) {
+  return buffer.length >= 4 && buffer.toString('latin1', 0, 4) === MAGIC;
+}
+
+// Encode a JSON-compatible model object → Buffer
+export function encodeBinary(model, { quantize = false } = {}) {
+  const tensors = [];
+  const blobs = [];
+
+  // Replace each large numeric array with a { $tensor: index } reference
+  const walk = (value, key) => {
+    if (isTensor(value)) {
+      const int8 = quantize && key === 'data';
+      let blob;
+      const meta = { dtype: int8 ? 'i8' : 'f32', length: value.length };
+      if (int8) {
+        let max = 0;
+        for (const v of value) max = Math.max(max, Math.abs(v));
+        meta.scale = max > 0 ? max / 127 : 1;
+        blob = Int8Array.from(value, v => Math.round(v / meta.scale));
+      } else {
+        blob = Float32Array.from(value);
+      }
+      tensors.push(meta);
+      blobs.push(blob);
+      return { $tensor: tensors.length - 1 };
+    }
+    if (Array.isArray(value)) return value.map(v => walk(v));
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = walk(v, k);
+      return out;
+    }
+    return value;
+  };
+  const header = { version: 1, model: walk(model), tensors };
+
+  let offset = 0;
+  for (let i = 0; i < blobs.length; i++) {
+    tensors[i].offset = offset;
+    offset = align4(offset + blobs[i].byteLength);
+  }
+
+  const headerBytes = Buffer.from(JSON.stringify(header), 'utf-8');
+  const dataStart = align4(8 + headerBytes.length);
+  const buffer = Buffer.alloc(dataStart + offset);
+  buffer.write(MAGIC, 0, 'latin1');
+  buffer.writeUInt32LE(headerBytes.length, 4);
+  headerBytes.copy(buffer, 8);
+  blobs.forEach((blob, i) => {
+    Buffer.from(blob.buffer, blob.byteOffset, blob.byteLength).copy(buffer, dataStart + tensors[i].offset);
+  });
+  return buffer;
+}
+
+// Decode a Buffer from encodeBinary → the model object, with quantized
+// tensors scaled back to floats
+export function decodeBinary(buffer) {
+  if (!isBinary(buffer)) throw new Error('Not a binary weights file');
+  const headerLength = buffer.readUInt32LE(4);
+  const header = JSON.parse(buffer.toString('utf-8', 8, 8 + headerLength));
+  if (header.version !== 1) throw new Error(`Unsupported binary weights version: ${header.version}`);
+  const dataStart = align4(8 + headerLength);
+
+  // Copy out of the file buffer so typed arrays start on an aligned offset
+  const read = ({ dtype, length, offset, scale }) => {
+    const start = dataStart + offset;
+    if (dtype === 'i8') {
+      const q = new Int8Array(buffer.buffer.slice(buffer.byteOffset + start, buffer.byteOffset + start + length));
+      return Array.from(q, v => v * scale);
+    }
+    return Array.from(new Float32Array(buffer.buffer.slice(buffer.byteOffset + start, buffer.byteOffset + start + length * 4)));
+  };
+
+  const walk = value => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (value && typeof value === 'object') {
+      if (typeof value.$tensor === 'number') return read(header.tensors[value.$tensor]);
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = walk(v);
+      return out;
+    }
+    return value;
+  };
+  return walk(header.model);
+}
@@ -0,0 +1,103 @@
+// stemmer.js — Porter stemmer (M. F. Porter, 1980) for English words
+// Folds inflections onto one stem: "scared", "scaring", "scares" → "scare".
+// Only lowercase a–z words are stemmed; anything else is returned unchanged.
+
+// y is a consonant at the start of a word or after a vowel
+function isConsonant(w, i) {
+  const c = w[i];
+  if ('aeiou'.includes(c)) return false;
+  return c !== 'y' || i === 0 || !isConsonant(w, i - 1);
+}
+
+// m in [C](VC)^m[V]: the number of vowel-consonant runs in a stem
+function measure(s) {
+  let m = 0, i = 0;
+  while (i < s.length && isConsonant(s, i)) i++;
+  while (i < s.length) {
+    while (i < s.length && !isConsonant(s, i)) i++;
+    if (i === s.length) break;
+    while (i < s.length && isConsonant(s, i)) i++;
+    m++;
+  }
+  return m;
+}
+
+const hasVowel = s => [...s].some((_, i) => !isConsonant(s, i));
+
+const endsDoubleConsonant = s =>
+  s.length >= 2 && s.at(-1) === s.at(-2) && isConsonant(s, s.length - 1);
+
+// *o: ends consonant-vowel-consonant, the last not w, x or y ("hop", "fil")
+function endsCVC(s) {
+  const n = s.length;
+  return n >= 3 && isConsonant(s, n - 3) && !isConsonant(s, n - 2) && isConsonant(s, n - 1) && !'wxy'.includes(s[n - 1]);
+}
+
+// Suffix rules, longest first: only the longest matching suffix is considered,
+// and it is replaced only if the remaining stem's measure exceeds `minMeasure`
+const rules = pairs => Object.entries(pairs).sort((a, b) => b[0].length - a[0].length);
+
+const STEP2 = rules({
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', abli: 'able', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+});
+const STEP3 = rules({ icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' });
+const STEP4 = rules(Object.fromEntries([
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou',
+  'ism', 'ate', 'iti', 'ous', 'ive', 'ize',
+].map(s => [s, ''])));
+
+function replaceSuffix(w, suffixRules, minMeasure) {
+  for (const [suffix, replacement] of suffixRules) {
+    if (!w.endsWith(suffix)) continue;
+    const stem = w.slice(0, -suffix.length);
+    if (measure(stem) <= minMeasure) return w;
+    // -ion is only removed after s or t ("adoption" → "adopt")
+    if (suffix === 'ion' && !/[st]$/.test(stem)) return w;
+    return stem + replacement;
+  }
+  return w;
+}
+
+// Plurals and -ed/-ing
+function step1(w) {
+  if (w.endsWith('sses') || w.endsWith('ies')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const suffix = ['ed', 'ing'].find(s => w.endsWith(s) && hasVowel(w.slice(0, -s.length)));
+    if (suffix) {
+      w = w.slice(0, -suffix.length);
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (endsDoubleConsonant(w) && !/[lsz]$/.test(w)) w = w.slice(0, -1);
+      else if (measure(w) === 1 && endsCVC(w)) w += 'e';
+    }
+  }
+
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) w = w.slice(0, -1) + 'i';
+  return w;
+}
+
+// Final -e and double l
+function step5(w) {
+  if (w.endsWith('e')) {
+    const stem = w.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsCVC(stem))) w = stem;
+  }
+  if (w.endsWith('ll') && measure(w) > 1) w = w.slice(0, -1);
+  return w;
+}
+
+// Stem one lowercase word
+export function stem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+  let w = step1(word);
+  w = replaceSuffix(w, STEP2, 0);
+  w = replaceSuffix(w, STEP3, 0);
+  w = replaceSuffix(w, STEP4, 1);
+  return step5(w);
+}
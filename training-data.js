@@ -1,5 +1,6 @@
-// training-data.js — ~300 labeled examples across 6 emotions
-// Each entry: { text, emotion }
+// training-data.js — ~370 labeled examples across 6 emotions
+// Each entry: { text, emotion }, where emotion is the dominant label. Mixed
+// entries also carry `emotions` (several labels) or `labels` (per-emotion weights).
 // Emotions: joy, anger, sadness, surprise, fear, neutral
 
 export const EMOTIONS = ['joy', 'anger', 'sadness', 'surprise', 'fear', 'neutral'];
@@ -316,4 +317,78 @@ export const trainingData = [
   { text: "I configured the settings as requested", emotion: "neutral" },
   { text: "The shipping address is confirmed", emotion: "neutral" },
   { text: "I completed the survey as instructed", emotion: "neutral" },
+
+  // === MIXED (12) ===
+  { text: "I cannot believe it, this is terrifying", emotion: "fear", emotions: ["fear", "surprise"] },
+  { text: "What a shock, I am scared out of my mind", emotion: "fear", emotions: ["fear", "surprise"] },
+  { text: "Wow I never expected such a wonderful gift", emotion: "surprise", emotions: ["surprise", "joy"] },
+  { text: "I am amazed and so happy it actually worked", emotion: "joy", emotions: ["joy", "surprise"] },
+  { text: "I am hurt and furious that they lied to me", emotion: "anger", emotions: ["anger", "sadness"] },
+  { text: "It makes me sad and angry how unfair this is", emotion: "sadness", emotions: ["sadness", "anger"] },
+  { text: "I am worried and heartbroken about my friend", emotion: "sadness", emotions: ["sadness", "fear"] },
+  { text: "I miss them and I am afraid of being alone", emotion: "fear", emotions: ["fear", "sadness"] },
+  { text: "I am thrilled but a little nervous about tomorrow", emotion: "joy", labels: { joy: 0.7, fear: 0.3 } },
+  { text: "Happy for them though I will miss them terribly", emotion: "joy", labels: { joy: 0.6, sadness: 0.4 } },
+  { text: "Shocked and outraged by what they did", emotion: "anger", labels: { anger: 0.6, surprise: 0.4 } },
+  { text: "The meeting moved, which is a bit surprising", emotion: "neutral", labels: { neutral: 0.7, surprise: 0.3 } },
+
+  // === NEGATION (12) ===
+  { text: "I am not happy at all", emotion: "sadness" },
+  { text: "I don't feel good about any of this", emotion: "sadness" },
+  { text: "This is not fun anymore", emotion: "sadness" },
+  { text: "I didn't enjoy a single moment of it", emotion: "sadness" },
+  { text: "I am not excited, just tired", emotion: "sadness" },
+  { text: "That was not funny and I am annoyed", emotion: "anger" },
+  { text: "They never listen and it drives me mad", emotion: "anger" },
+  { text: "I'm not sad anymore, I feel great", emotion: "joy" },
+  { text: "I am not afraid of anything now and I love it", emotion: "joy" },
+  { text: "Don't worry, everything is fine", emotion: "neutral" },
+  { text: "I'm not scared, the plan is on schedule", emotion: "neutral" },
+  { text: "No need to panic, the report is ready", emotion: "neutral" },
+
+  // === EMOJI (30) ===
+  { text: "We won the game 🎉🎉", emotion: "joy" },
+  { text: "Best birthday ever 🎉 ❤️", emotion: "joy" },
+  { text: "Thank you so much 😊", emotion: "joy" },
+  { text: "Got the job 😊 :D", emotion: "joy" },
+  { text: "Love you all ❤️ :)", emotion: "joy" },
+  { text: "Finally the weekend :D :)", emotion: "joy" },
+  { text: "This is ridiculous 😡", emotion: "anger" },
+  { text: "They cancelled it again 😡🤬", emotion: "anger" },
+  { text: "Stop spamming me 🤬", emotion: "anger" },
+  { text: "Worst service ever >:(", emotion: "anger" },
+  { text: "Unbelievable, late again >:( 😡", emotion: "anger" },
+  { text: "I miss my dog 😭", emotion: "sadness" },
+  { text: "Nobody came to the party 😢 :(", emotion: "sadness" },
+  { text: "Saying goodbye today 😭😢", emotion: "sadness" },
+  { text: "Lost everything :'(", emotion: "sadness" },
+  { text: "Feeling so lonely :( :'(", emotion: "sadness" },
+  { text: "Wait, what just happened 😮", emotion: "surprise" },
+  { text: "No way 😲 :O", emotion: "surprise" },
+  { text: "They said yes?! 😮😲", emotion: "surprise" },
+  { text: "Did not see that coming :O", emotion: "surprise" },
+  { text: "There is someone outside 😨", emotion: "fear" },
+  { text: "The results come tomorrow 😰", emotion: "fear" },
+  { text: "Heard a noise downstairs 😱😨", emotion: "fear" },
+  { text: "Exam in an hour 😰 😱", emotion: "fear" },
+  { text: "Meeting moved to 3pm 👍", emotion: "neutral" },
+  { text: "Hi everyone 👋", emotion: "neutral" },
+  { text: "Got the file, thanks 👍 👋", emotion: "neutral" },
+  { text: "Bus is on time :|", emotion: "neutral" },
+  { text: "Lunch is at noon :|", emotion: "neutral" },
+  { text: "Sent the invoice 👋", emotion: "neutral" },
+
+  // === INTENSITY (12) ===
+  { text: "YES we did it!!!", emotion: "joy" },
+  { text: "This is SO GOOD, I love it!!", emotion: "joy" },
+  { text: "I am SO ANGRY right now!!!", emotion: "anger" },
+  { text: "STOP doing that, this is absolutely unacceptable!", emotion: "anger" },
+  { text: "Why does this keep happening to me!!", emotion: "anger" },
+  { text: "I am really really sad and so tired", emotion: "sadness" },
+  { text: "I miss her SO much", emotion: "sadness" },
+  { text: "WHAT?! No way, that is incredibly surprising!!", emotion: "surprise" },
+  { text: "OMG I totally did not expect that!", emotion: "surprise" },
+  { text: "HELP, I am extremely scared!!!", emotion: "fear" },
+  { text: "I am seriously terrified of what comes next!", emotion: "fear" },
+  { text: "Please hurry, something is VERY wrong!!", emotion: "fear" },
 ];